@@ -2,88 +2,247 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const archiver = require('archiver');
+const nodemailer = require('nodemailer');
 admin.initializeApp();
 
 const firestore = admin.firestore();
 const firebase = admin.database();
 const bucket = admin.storage().bucket();
-
-// This is needed to remove timestamp warning
-const settings = {timestampsInSnapshots: true};
-firestore.settings(settings);
+const FieldValue = admin.firestore.FieldValue;
+const FieldPath = admin.firestore.FieldPath;
 
 // Collections will be recursively deleted in batches of this size
 const deleteCollectionBatchSize = 100;
 
+// Deferred notifications are sent by scheduled function in batches of this size
+const deferredNotificationsBatchSize = 100;
+
+// Group chatroom may have up to this number of participants (including the owner)
+const maxGroupChatroomParticipantCount = 50;
+
+// Chat attachments are stored in chatrooms/{chatroomUid}/attachments/{senderUid}/{fileName}
+// and their thumbnails in chatrooms/{chatroomUid}/thumbnails/{senderUid}/{fileName}
+const chatAttachmentPathRegex = /^chatrooms\/([^/]+)\/attachments\/([^/]+)\/([^/]+)$/;
+
+// Chat message attachment_type must be one of these
+const chatAttachmentTypes = ['image', 'file'];
+
+// Only these attachment types are allowed (images get thumbnails)
+const chatImageContentTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const chatFileContentTypes = ['application/pdf'];
+
+// Attachments larger than this are rejected
+const maxChatAttachmentSizeBytes = 10 * 1024 * 1024;
+
+// Chat attachment thumbnails fit into the square of this size
+const chatThumbnailSizePixels = 320;
+
+// User photos and offer photos are stored in {userUid}/user_photos/{photoUid}.jpg
+// and {userUid}/offer_photos/{photoUid}.jpg, and their thumbnails next to them in {photoUid}_{size}.jpg
+const userPhotoPathRegex = /^[^/]+\/(user_photos|offer_photos)\/[^/]+\.jpg$/;
+
+// Uploaded photos are re-encoded to fit into the square of this size,
+// and thumbnails of these sizes are generated
+const maxPhotoSizePixels = 2048;
+const photoThumbnailSizesPixels = {small: 160, medium: 640};
+
+// Chatroom reconciliation processes chatrooms of users in pages of this size,
+// stops after this time budget (the next invocation continues from the saved cursor)
+// and starts new pass not earlier than this interval after the previous pass has finished.
+const reconcileChatroomsPageSize = 100;
+const reconcileChatroomsTimeBudgetMillis = 8 * 60 * 1000;
+const reconcileChatroomsIntervalMillis = 24 * 60 * 60 * 1000;
+
+// Provider rating score is Bayesian average, that pulls ratings of providers
+// with few reviews towards this prior rating (as if every provider had this number of such reviews)
+const providerRatingPriorMean = 3.5;
+const providerRatingPriorWeight = 5;
+
+// Review replies and review report reasons can't be longer than this
+const maxReviewReplyLength = 2000;
+const maxReviewReportReasonLength = 500;
+
+// Review report status after moderator action
+const reviewReportStatuses = {
+	hide: 'hidden',
+	restore: 'restored',
+	dismiss: 'dismissed'
+};
+
+// Firestore returns these error codes, when the document to be updated does not exist
+// and when the document to be created already exists
+const notFoundErrorCode = 5;
+const alreadyExistsErrorCode = 6;
+
+// Old app versions do not write authorUid into reviews, so it is derived from author's userpic download URL,
+// which contains Storage path {userUid}/userpic.jpg (URL encoded)
+const userPicUrlAuthorUidRegex = /\/o\/([^/?%]+)%2Fuserpic\.jpg(\?|$)/;
+
+// Offers are indexed with geohashes of this precision.
+// Nearby offer search radius is limited, and every geohash range is read in pages of this size.
+// Total number of offers read by one search is limited (evenly between geohash ranges),
+// and only this number of the nearest found offers is returned.
+const offerIndexGeohashPrecision = 10;
+const maxSearchRadiusKm = 100;
+const nearbyOffersPageSize = 200;
+const maxNearbyOffersReadCount = 2000;
+const maxNearbyOfferResultCount = 100;
+
+// Offer keywords contain prefixes of words starting from this length.
+// Keyword search matches up to this number of query terms (array-contains-any limit)
+// and reads all matching offers in pages of this size, before they are filtered and ranked.
+const minKeywordPrefixLength = 2;
+const maxSearchQueryTermCount = 10;
+const offerSearchPageSize = 200;
+const maxOfferSearchResultCount = 50;
+const searchStopWords = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+	'of', 'on', 'or', 'the', 'to', 'with'];
+
+// Personal data export reads documents in pages of this size and stops after this time budget
+// (the next invocation continues from the saved cursor). Export in progress, which has not been updated
+// for the stale time (its invocation has failed), is resumed on the next request.
+// Finished export archive is returned again, if it is not older than the reuse time,
+// and its signed download URL expires after the URL time.
+const dataExportPageSize = 500;
+const dataExportTimeBudgetMillis = 8 * 60 * 1000;
+const dataExportStaleMillis = 15 * 60 * 1000;
+const dataExportReuseMillis = 24 * 60 * 60 * 1000;
+const dataExportUrlMillis = 60 * 60 * 1000;
+
+// Deleted account is kept (hidden from other users) for the grace period and can be restored,
+// then its data is deleted by purgeDeletedAccounts() in batches of this size until the time budget runs out.
+// Grace period is configured in days in functions config: account.deletion_grace_days (default is used, if not configured).
+const defaultAccountDeletionGraceDays = 30;
+const purgeDeletedAccountsBatchSize = 20;
+const purgeDeletedAccountsTimeBudgetMillis = 8 * 60 * 1000;
+
+// Reviews written by the deleted user on other users' offers are either deleted ('delete')
+// or kept with this author name and without author uid and picture ('anonymize').
+// Action is configured in functions config: account.deleted_user_reviews_action (default is used, if not configured).
+// Users pending deletion are shown to other users with this name too.
+const defaultDeletedUserReviewsAction = 'anonymize';
+const deletedUserReviewsActions = ['delete', 'anonymize'];
+const deletedUserName = 'Deleted user';
+
+// Chatroom fan-out updates chatrooms of other users in pages of this size (every page is one batch,
+// that must be under 500 writes) and hands the job over to the next invocation after this time budget
+const chatroomFanOutPageSize = 200;
+const chatroomFanOutTimeBudgetMillis = 8 * 60 * 1000;
+
+// Orphaned Storage files sweeper checks folders of this number of users per page,
+// stops after this time budget (the next invocation continues from the saved page token)
+// and starts new pass not earlier than this interval after the previous pass has finished.
+// Unreferenced files younger than the grace time are kept (the app may still be uploading them).
+// Mode is set by admins in mode field of jobs/sweepOrphanedStorageFiles and is applied from the next pass:
+// in 'dryRun' mode (default) orphaned files are only reported, in 'delete' mode they are also deleted.
+const storageSweepPageSize = 100;
+const storageSweepTimeBudgetMillis = 8 * 60 * 1000;
+const storageSweepIntervalMillis = 24 * 60 * 60 * 1000;
+const orphanedFileGraceMillis = 7 * 24 * 60 * 60 * 1000;
+
+// Top level Storage folders, that are not user folders
+const nonUserStorageFolders = ['chatrooms', 'exports'];
+
+// Admins can list up to this number of failed operations at once
+const maxFailedOperationsListSize = 100;
+
+// Every sender can send up to this number of chat messages per minute
+// and start up to this number of new chatrooms per day (other messages are rejected)
+const maxChatMessagesPerMinute = 20;
+const maxNewChatroomsPerDay = 20;
+
+// Rejected messages are skipped, when the last message of the chatroom is looked for,
+// so chatroom messages are read in pages of this size until not rejected message is found
+const lastChatroomMessagePageSize = 10;
+
+// Chat messages are checked against blocked words and link domains (subdomains are blocked too),
+// configured in functions config as comma separated lists: chat.blocked_words and chat.blocked_link_domains.
+// Blocklist mode is configured in chat.blocklist_mode. Defaults below are used for not configured values.
+// In 'mask' mode blocked words and links are masked in the message itself, chatroom previews and notifications.
+// In 'flag' mode the message is kept as is, but flagged for moderation, and masked only in previews and notifications.
+const defaultChatBlockedLinkDomains = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.ly'];
+const defaultChatBlocklistMode = 'mask';
+const chatBlocklistModes = ['mask', 'flag'];
+const chatBlockedLinkReplacement = '[link removed]';
+
+// Unread message digest is sent to users, who have been offline longer than the threshold
+// (but not longer than the max offline time) and have unread messages, at most once per offline period.
+// Users are checked in pages of this size until the time budget runs out,
+// and the digest contains up to this number of chatrooms with previews of this length.
+// Digest is sent with this transport (see unreadDigestTransports).
+// Offline threshold, max offline time (both in hours) and transport are configured in functions config:
+// digest.offline_threshold_hours, digest.max_offline_hours and digest.transport (defaults are used for not configured values).
+const defaultUnreadDigestOfflineThresholdHours = 24;
+const defaultUnreadDigestMaxOfflineHours = 7 * 24;
+const unreadDigestPageSize = 100;
+const unreadDigestTimeBudgetMillis = 8 * 60 * 1000;
+const maxUnreadDigestChatroomCount = 10;
+const maxUnreadDigestPreviewLength = 100;
+const defaultUnreadDigestTransportName = 'email';
+
+// Trigger events are recorded in processedEvents collection for this time
+// (events older than maxEventAgeMillis are not processed at all, even if retried, so the ledger
+// must keep them longer). If the function crashes without releasing the event,
+// another delivery may process it after the lease expires.
+const processedEventTtlMillis = 2 * 24 * 60 * 60 * 1000;
+const processedEventLeaseMillis = 10 * 60 * 1000;
+const maxEventAgeMillis = 24 * 60 * 60 * 1000;
+
+// FCM tokens with these send errors are no longer valid and are removed from the user
+const invalidFcmTokenErrorCodes = [
+	'messaging/registration-token-not-registered',
+	'messaging/invalid-registration-token'
+];
+
 // === Exports ===
 
 // Listen for new chat messages added to /chatrooms/:chatroomId/messages/:messageId ,
 // update corresponding chatroom of the sender and the receiver,
 // and send data FCM message to the receiver of the new chat message.
+// If the receiver has blocked the sender, only the sender chatroom is updated.
+// Messages of senders over the rate limits are rejected and not delivered,
+// and blocked words and links are masked in chatroom previews and notifications.
 // Note that if the function does not execute for some reason (due to error or server down),
-// then chatrooms will NOT be updated. Only next time the function is invoked 
-// (when another new message is created). There is nothing we can do about it.
-exports.onNewChatMessage = functions.firestore.document('/chatrooms/{chatroomUid}/messages/{messageUid}')
+// then chatrooms will NOT be updated until next time the function is invoked 
+// (when another new message is created) or until reconcileChatrooms() fixes them.
+exports.onNewChatMessage = functions
+	.runWith({failurePolicy: true})
+	.firestore.document('/chatrooms/{chatroomUid}/messages/{messageUid}')
 	// This is triggered on new document creation
-    .onCreate((snap, context) => {
+    .onCreate(oncePerEvent('onNewChatMessage', (snap, context, processedEvent) => {
     	// Get chat message from the document
     	const message = snap.data();
+    	const chatroomUid = context.params.chatroomUid;
 
-    	// Get sender uid, receiver uid and message text from the chat message
-     	const senderUid = message.sender_uid;
-     	const receiverUid = message.receiver_uid;
-      	const messageText = message.message_text;
-      	const messageTimestamp = message.timestamp;
-      	const messageTimestampMillis = messageTimestamp.toMillis();
-
-        let senderName;
-        let senderUserPicUrl;
-
-		// Get sender user
-		// (in return statement, because this method must return promise)
-  		return firestore
-            .collection('users')
-            .doc(senderUid)
-            .get()
-            .then(doc => {
-            	// Get sender user from the document
- 	   	        const sender = doc.data();
-
-		        // Init sender name with username or name
-		        senderName = getUserNameOrUsername(sender.name, sender.username);
-
-		        // Get sender user pic URL
-		        senderUserPicUrl = sender.userPicUrl;
-
-		      	// Get receiver user
-		      	// (in return statement, because this method must return promise)
-		  		return firestore.collection('users').doc(receiverUid).get();
-		    })
-            .then(doc => {
-            	// Get receiver user from the document
- 	   	        const receiver = doc.data();
-
-		        // Init receiver name with username or name
-		        const receiverName = getUserNameOrUsername(receiver.name, receiver.username);
-
-		        // Get receiver user pic URL
-		        const receiverUserPicUrl = receiver.userPicUrl;
-
-				// Get receiver user's FCM token		        	
-		        const receiverToken = receiver.fcm_token;
-
-		        // Create promise to send FCM message to the device with specified FCM token.
-		        const sendNotificationPromise = getSendNotificationPromise(senderUid, senderName, senderUserPicUrl, messageText, messageTimestampMillis, receiverToken);
-
-		        // Chatrooms are updated inside transactions
-		        // to prevent corrupting data by parallel function execution.
-				const updateSenderChatroomPromise = getUpdateSenderChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText);
-				const updateReceiverChatroomPromise = getUpdateReceiverChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText);
-
-				// Send notification and update sender and receiver chatrooms
-				return Promise.all([sendNotificationPromise, updateSenderChatroomPromise, updateReceiverChatroomPromise]);
-            });
-    });
+    	let isRejected = false;
+
+    	// Message must not be counted in rate limits again, if the event is retried
+    	return getRunEventStepOncePromise(processedEvent, 'rateLimit', () => getChatMessageRejectReasonPromise(chatroomUid, message))
+    		.then(rejectReason => {
+    			if (rejectReason !== null) {
+    				isRejected = true;
+    				return getRejectChatMessagePromise(snap.ref, message, rejectReason);
+    			}
+
+    			// Blocked words and links are masked before the message text gets into chatrooms and notifications
+    			return getApplyChatBlocklistPromise(snap.ref, message);
+    		})
+    		.then(filteredMessage => {
+    			if (isRejected) {
+    				return null;
+    			}
+
+		    	if (isGroupChatMessage(filteredMessage)) {
+		    		// Group chat messages have no single receiver
+		    		return getProcessGroupChatMessagePromise(snap.ref, chatroomUid, filteredMessage, processedEvent);
+		    	}
+
+		    	return getProcessDirectChatMessagePromise(snap.ref, filteredMessage, processedEvent);
+    		});
+    }));
 
 // -----------------------
 
@@ -91,19 +250,44 @@ exports.onNewChatMessage = functions.firestore.document('/chatrooms/{chatroomUid
 // and update new message count of the receiver's chatroom with this number.
 // Note that if this function is not executed, 
 // then the receiver chatroom counter will not be updated
-// (only after the sender sends another message, and the receiver receives it).
-// There is nothing we can do about it.
-exports.onUpdateChatMessage = functions.firestore.document('/chatrooms/{chatroomUid}/messages/{messageUid}')
+// (only after the sender sends another message, and the receiver receives it,
+// or after reconcileChatrooms() fixes it).
+// If the message text has been edited, check it against rate limits and blocklist like the new message,
+// and, if this is the last message of the chatroom, recalculate previews in chatrooms of all participants.
+exports.onUpdateChatMessage = functions
+	.runWith({failurePolicy: true})
+	.firestore.document('/chatrooms/{chatroomUid}/messages/{messageUid}')
 	// This is triggered on document update
-    .onUpdate((change, context) => {
+    .onUpdate(oncePerEvent('onUpdateChatMessage', (change, context, processedEvent) => {
     	// Get old chat message
     	const oldMessage = change.before.data();
     	// Get new chat message
     	const newMessage = change.after.data();
 
-     	const senderUid = newMessage.sender_uid;
+     	const chatroomUid = context.params.chatroomUid;
      	const receiverUid = newMessage.receiver_uid;
 
+     	if (newMessage.is_rejected === true || (newMessage.is_masked === true && oldMessage.is_masked !== true)
+     		|| newMessage.checked_message_text !== oldMessage.checked_message_text) {
+     		// Message has been rejected or its text has been masked by onNewChatMessage(),
+     		// or its edited text has been checked by this function, which have already updated chatrooms (if needed)
+     		return null;
+     	}
+
+     	if (newMessage.message_text !== oldMessage.message_text) {
+     		// Message has been edited by the sender
+     		return getCheckChatMessageEditPromise(change.after.ref, chatroomUid, oldMessage, newMessage, processedEvent);
+     	}
+
+     	if (Array.isArray(newMessage.unread_by)) {
+     		// Group chat message is marked as read by removing the participant from unread_by,
+     		// so update chatrooms of all participants, who have read the message during this update.
+     		const oldUnreadBy = Array.isArray(oldMessage.unread_by) ? oldMessage.unread_by : [];
+     		const readerUids = oldUnreadBy.filter(uid => newMessage.unread_by.indexOf(uid) < 0);
+
+     		return Promise.all(readerUids.map(readerUid => getUpdateReceiverChatroomOnUpdatePromise(chatroomUid, readerUid, true)));
+     	}
+
     	if (oldMessage.isRead === true || newMessage.isRead === false) {
     		// If message has not been marked as read during this update,
     		// then do nothing.
@@ -111,619 +295,5186 @@ exports.onUpdateChatMessage = functions.firestore.document('/chatrooms/{chatroom
 
     	} else {
     		// Otherwise update receiver chatroom
-    		return getUpdateReceiverChatroomOnUpdatePromise(senderUid, receiverUid);
+    		return getUpdateReceiverChatroomOnUpdatePromise(chatroomUid, receiverUid, false);
     	}
-    });
+    }));
 
 // -----------------------
 
-// Callable function
-// Updates username and userpic in chatrooms
-exports.updateUserNameAndPicInChatrooms = functions.https.onCall((data, context) => {
-	const userUid = data.userUid;
-	const newUsername = data.newUsername;
-	const newUserPicUrl = data.newUserPicUrl;
+// Listen for chat messages deleted (unsent) by the sender,
+// recalculate last message and new message count in chatrooms of all participants
+// from the remaining messages and send data FCM message about retracted message to the receivers,
+// so that the app can remove already shown notification.
+// Note that this is also triggered, when all chatroom messages are deleted by chatroom or account purge,
+// but in this case the chatroom is marked purged (see getDeleteChatroomMessagesPromise()) and nothing is done.
+exports.onDeleteChatMessage = functions
+	.runWith({failurePolicy: true})
+	.firestore.document('/chatrooms/{chatroomUid}/messages/{messageUid}')
+	// This is triggered on document delete
+    .onDelete(oncePerEvent('onDeleteChatMessage', (snap, context, processedEvent) => {
+    	const chatroomUid = context.params.chatroomUid;
+    	const messageUid = context.params.messageUid;
+    	const deletedMessage = snap.data();
+    	const isGroup = isGroupChatMessage(deletedMessage);
 
-	// Checking that the user is authenticated.
-	if (!context.auth) {
-	  // Throwing an HttpsError so that the client gets the error details.
-	  throw new functions.https.HttpsError('failed-precondition', 'The function must be called while authenticated.');
-	}
+    	return Promise.all([getChatroomParticipantUidsPromise(chatroomUid, deletedMessage), getIsChatroomMessagePurgedPromise(chatroomUid, deletedMessage)])
+    		.then(results => {
+    			const participantUids = results[0];
+    			const isPurged = results[1];
 
-	// Update username or user pic in the chatrooms of the user
-	return getUserChatroomsAndUpdateUsername(userUid, newUsername, newUserPicUrl);
-});    
+    			if (isPurged) {
+    				// Chatrooms of participants and attachments are deleted by the purge itself
+    				return null;
+    			}
+
+    			let promiseArray = [];
+
+    			if (deletedMessage.attachment_path !== undefined) {
+    				if (isValidChatMessageAttachment(chatroomUid, deletedMessage)) {
+    					promiseArray.push(getDeleteChatAttachmentPromise(deletedMessage.attachment_path));
+
+    				} else {
+    					// Never delete files outside of the sender's attachments in this chatroom
+    					console.log('Invalid chat attachment ignored:', chatroomUid, messageUid, deletedMessage.attachment_path, deletedMessage.attachment_type);
+    				}
+    			}
+
+    			participantUids.forEach(participantUid => {
+    				promiseArray.push(getRecalculateUserChatroomPromise(chatroomUid, participantUid, isGroup));
+
+    				if (participantUid !== deletedMessage.sender_uid) {
+    					promiseArray.push(getRunEventStepOncePromise(processedEvent, `retracted_${participantUid}`,
+    						() => getSendMessageRetractedNotificationPromise(chatroomUid, messageUid, deletedMessage, participantUid)));
+    				}
+    			});
+
+    			return Promise.all(promiseArray);
+    		});
+    }));
 
 // -----------------------
 
-// Callable function.
-// Called directly from the app on review create, update and delete.
-// Recalculates and updates corresponding offer rating in provider user
-// (the user who provides this offer).
-exports.recalculateRating = functions.https.onCall((data, context) => {
-	// Checking that the user is authenticated.
-	if (!context.auth) {
-	  // Throwing an HttpsError so that the client gets the error details.
-	  throw new functions.https.HttpsError('failed-precondition', 'The function must be called while authenticated.');
-	}
+// Validate chat attachment uploaded into chatrooms/{chatroomUid}/attachments/{senderUid}/{fileName}.
+// Attachments of not allowed type or size are deleted, and thumbnails are generated for images.
+// Messages, that reference the attachment, get its status ('ready' or 'rejected').
+// Note that attachment may be uploaded before the message is created,
+// so the app should also rely on thumbnail path returned by the same rule as getChatThumbnailPath().
+exports.onChatAttachmentUpload = functions
+	.runWith({	// Extend default memory, because images are processed in memory
+		memory: '1GB',
+		failurePolicy: true
+	})
+	.storage.object()
+	.onFinalize(oncePerEvent('onChatAttachmentUpload', (object) => {
+		const match = chatAttachmentPathRegex.exec(object.name);
+
+		if (match === null) {
+			if (/^chatrooms\/[^/]+\/attachments\//.test(object.name)) {
+				// Attachment is not in the sender's folder
+				console.log('Chat attachment rejected, invalid path:', object.name);
+				return getDeleteFileIfExistsPromise(object.name);
+			}
 
- 	const providerUserUid = data.providerUserUid;
- 	const offerUid = data.offerUid;
-	const offerReviewsDocumentUid = data.offerReviewsDocumentUid;
+			// Not a chat attachment, do nothing
+			return null;
+		}
 
-  	let providerUser;
+		const chatroomUid = match[1];
+		const contentType = object.contentType;
+		const size = parseInt(object.size, 10);
+		const isImage = chatImageContentTypes.indexOf(contentType) >= 0;
+		const isAllowedType = isImage || chatFileContentTypes.indexOf(contentType) >= 0;
 
-  	const providerUserRef = firestore.collection('users').doc(providerUserUid);
+		if (!isAllowedType || size > maxChatAttachmentSizeBytes) {
+			console.log('Chat attachment rejected:', object.name, contentType, size);
 
-  	// Update provider user offer rating list in transaction
-  	// (this is needed, because several reviews on the same offer 
-  	// can be posted at the same time)
-    return firestore.runTransaction(transaction => {
-	    return transaction.get(providerUserRef)
-			.then(doc => {
-				// Get provider user
- 	   	        providerUser = doc.data();
+			return getDeleteChatAttachmentPromise(object.name)
+				.then(() => {
+					return getUpdateAttachmentMessagesPromise(chatroomUid, object.name, {attachment_status: 'rejected'});
+				});
+		}
 
-	            // Get offer reviews
- 	   	        return getOfferReviewsPromise(offerReviewsDocumentUid);
-	    	})
-	    	.then(snapshot => {
-	    		// Calculate new offer rating based on all reviews of this offer
-	            const offerRatings = recalculateOfferRatings(snapshot, providerUser, offerUid);
+		const processPromise = isImage ? getCreateChatThumbnailPromise(object.name) : Promise.resolve(null);
 
-	            // Update only offer rating array in provider user
-				const updatedProviderUser = {
-					offerRatingList: offerRatings
-				};
+		return processPromise
+			.then(thumbnailPath => {
+				let updatedMessage = {attachment_status: 'ready'};
 
-				return transaction.update(providerUserRef, updatedProviderUser);
-	    	})
+				if (thumbnailPath !== null) {
+					updatedMessage["attachment_thumbnail_path"] = thumbnailPath;
+				}
+
+				return getUpdateAttachmentMessagesPromise(chatroomUid, object.name, updatedMessage);
+			});
+	}));
+
+// -----------------------
+
+// Process uploaded user photo or offer photo:
+// strip metadata (including GPS location), downscale photos larger than the size limit
+// and generate small and medium thumbnails next to the photo.
+// Non-image uploads are deleted. Processed photo is saved with isProcessed metadata,
+// so that its own upload (as well as thumbnail uploads) is not processed again.
+exports.onPhotoUpload = functions
+	.runWith({	// Extend default memory, because images are processed in memory
+		memory: '1GB',
+		failurePolicy: true
 	})
-	.then(result => {
-		return null;
+	.storage.object()
+	.onFinalize(oncePerEvent('onPhotoUpload', (object) => {
+		if (!userPhotoPathRegex.test(object.name) || isPhotoThumbnailPath(object.name)) {
+			// Not a user photo or offer photo, do nothing
+			return null;
+		}
+
+		if (object.metadata !== undefined && object.metadata.isProcessed === 'true') {
+			return null;
+		}
+
+		const contentType = object.contentType !== undefined ? object.contentType : "";
+
+		if (contentType.indexOf('image/') !== 0) {
+			console.log('Photo rejected:', object.name, contentType);
+			return getDeleteFileIfExistsPromise(object.name);
+		}
+
+		return getProcessPhotoPromise(object);
+	}));
+
+// -----------------------
+
+// Recalculate new message count and last message of all chatrooms of users
+// from chatroom messages and fix chatrooms, that have drifted because chat message triggers failed.
+// Chatrooms are processed in pages. When the time budget runs out, the cursor is saved
+// in jobs/reconcileChatrooms, and the next invocation continues from it.
+// Job document also keeps the number of checked and corrected chatrooms.
+exports.reconcileChatrooms = functions
+	.runWith({	// Extend default limits, because the job processes chatrooms of all users
+		timeoutSeconds: 540,
+		memory: '1GB'
 	})
-	.catch(err => {
-		console.log('Update provider user transaction failure:', err);
-		return null;
-	});
-});    
+	.pubsub.schedule('every 1 hours')
+	.onRun(oncePerEvent('reconcileChatrooms', (context) => {
+		const jobRef = firestore.collection('jobs').doc('reconcileChatrooms');
+		const deadlineMillis = Date.now() + reconcileChatroomsTimeBudgetMillis;
+
+		return jobRef.get()
+			.then(doc => {
+				let job = doc.exists ? doc.data() : {};
+
+				if (job.isPassInProgress !== true) {
+					// Start new pass only if the previous one has finished long enough ago
+					if (job.lastPassFinishedAt !== undefined && Date.now() - job.lastPassFinishedAt.toMillis() < reconcileChatroomsIntervalMillis) {
+						return null;
+					}
+
+					job.isPassInProgress = true;
+					job.cursor = null;
+					job.passStartedAt = admin.firestore.Timestamp.now();
+					job.checkedCount = 0;
+					job.correctedCount = 0;
+				}
+
+				return getReconcileChatroomsPagePromise(jobRef, job, deadlineMillis);
+			});
+	}));
+
+// -----------------------
+
+// Find files in user folders in Storage (userpic, user photos and offer photos),
+// that are not referenced by the user document (or the user does not exist), and delete them.
+// Every orphaned file is reported in storageSweepReports/{passId}/orphanedFiles
+// (in dry run mode the files are only reported).
+// User folders are processed in pages. When the time budget runs out, the page token is saved
+// in jobs/sweepOrphanedStorageFiles, and the next invocation continues from it.
+exports.sweepOrphanedStorageFiles = functions
+	.runWith({	// Extend default limits, because the job checks files of all users
+		timeoutSeconds: 540,
+		memory: '1GB'
+	})
+	.pubsub.schedule('every 1 hours')
+	.onRun(oncePerEvent('sweepOrphanedStorageFiles', (context) => {
+		const jobRef = firestore.collection('jobs').doc('sweepOrphanedStorageFiles');
+		const deadlineMillis = Date.now() + storageSweepTimeBudgetMillis;
+
+		return jobRef.get()
+			.then(doc => {
+				let job = doc.exists ? doc.data() : {};
+
+				if (job.isPassInProgress !== true) {
+					// Start new pass only if the previous one has finished long enough ago
+					if (job.lastPassFinishedAt !== undefined && Date.now() - job.lastPassFinishedAt.toMillis() < storageSweepIntervalMillis) {
+						return null;
+					}
+
+					job.isPassInProgress = true;
+					job.isDryRun = job.mode !== 'delete';
+					job.pageToken = null;
+					job.passId = `${Date.now()}`;
+					job.passStartedAt = admin.firestore.Timestamp.now();
+					job.checkedCount = 0;
+					job.orphanedCount = 0;
+				}
+
+				return getSweepStoragePagePromise(jobRef, job, deadlineMillis);
+			});
+	}));
 
 // -----------------------
 
 // Callable function
-// Called directly from the app to delete offer related data on manual offer delete
-exports.deleteOfferData = functions.https.onCall((data, context) => {
-	// Checking that the user is authenticated.
-	if (!context.auth) {
-	  // Throwing an HttpsError so that the client gets the error details.
-	  throw new functions.https.HttpsError('failed-precondition', 'The function must be called while authenticated.');
-	}
+// Returns the latest failed operations with provided status ('failed' by default) for admins.
+// Query needs composite index on failedOperations: status ascending, lastFailedAt descending (see firestore.indexes.json).
+exports.listFailedOperations = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+	checkAdmin(context);
+
+	const validData = validateData(data, {
+		status: {type: 'string', optional: true, values: ['failed', 'replaying', 'replayed']},
+		limit: {type: 'number', optional: true, min: 1, max: maxFailedOperationsListSize}
+	});
 
-	const userUid = data.userUid;
-	const offerUid = data.offerUid;
+	return firestore
+		.collection('failedOperations')
+		.where('status', '==', validData.status !== undefined ? validData.status : 'failed')
+		.orderBy('lastFailedAt', 'desc')
+		.limit(validData.limit !== undefined ? validData.limit : maxFailedOperationsListSize)
+		.get()
+		.then(snapshot => {
+			const failedOperations = snapshot.docs.map(doc => Object.assign({failedOperationUid: doc.id}, doc.data()));
 
-	// Delete offer reviews.
-	// We don't have to delete offer photos here, because this is done from the app.
-	return getDeleteOfferReviewsPromise(userUid, offerUid, deleteCollectionBatchSize)
-		.then(() => {
-			// Delete offer rating list item for the offer being deleted
-			return deleteOfferRatingListItem(userUid, offerUid);
+			return {failedOperations: JSON.parse(JSON.stringify(failedOperations, firestoreJsonReplacer))};
 		});
-});    
+});
 
 // -----------------------
 
-// On every user online status update in Realtime Database
-// update user online status in Firestore.
-exports.onUserStatusChange = functions.database.ref('/online/{userUid}')
-	.onUpdate((change, context) => {
-    	const newStatus = change.after.val();
-    	const userUid = context.params.userUid;
+// Callable function
+// Replays failed operation with its recorded arguments (admins only).
+// If the operation fails again, its failure is recorded in the same entry.
+exports.replayFailedOperation = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+	checkAdmin(context);
+
+	const validData = validateData(data, {
+		failedOperationUid: {type: 'string', nonEmpty: true}
+	});
 
-    	if (newStatus === true) {
-    		// If user online, do nothing
-	    	return null;
+	const failedOperationRef = firestore.collection('failedOperations').doc(validData.failedOperationUid);
 
-    	} else {
-    		// Otherwise set user online status false and last seen time in Firestore
-    		return firestore.collection('users')
-    					.doc(userUid)
-						.set({
-							is_online: false,
-							last_seen: Date.now()
-						}, {merge: true});
-    	}
-	});
+	return failedOperationRef.get()
+		.then(doc => {
+			if (!doc.exists) {
+				throw new functions.https.HttpsError('not-found', 'Failed operation not found.');
+			}
 
-// -----------------------
+			const failedOperation = doc.data();
 
-// On every user isHiveRunning status update in Realtime Database
-// update user isHiveRunning status in Firestore.
-exports.onUserIsHiveRunningChange = functions.database.ref('/isHiveRunning/{userUid}')
-	.onUpdate((change, context) => {
-    	const newIsHiveRunning = change.after.val();
-    	const userUid = context.params.userUid;
+			if (failedOperation.status === 'replayed') {
+				throw new functions.https.HttpsError('failed-precondition', 'Failed operation has already been replayed.');
+			}
 
-    	if (newIsHiveRunning === true) {
-    		// If isHiveRunning true, do nothing
-	    	return null;
+			if (replayableOperations[failedOperation.operationName] === undefined) {
+				throw new functions.https.HttpsError('failed-precondition', 'Operation can not be replayed.');
+			}
 
-    	} else {
-    		// Otherwise set isHiveRunning false in Firestore
-    		return firestore.collection('users')
-    					.doc(userUid)
-						.set({isHiveRunning: false}, {merge: true});
-    	}
-	});
+			return getReplayFailedOperationPromise(failedOperationRef, failedOperation);
+		})
+		.then(isReplayed => {
+			return {status: isReplayed ? 'replayed' : 'failed'};
+		});
+});
 
 // -----------------------
 
-// Delete user document in Firestore on user delete in FirebaseAuth.
-// Note that here we listen to FirebaseAuth, NOT Firestore!
+// Send unread message digest to users, who have been offline for a long time and have unread messages.
+// Users can opt out with unreadDigestOptOut flag. The time of the last digest is kept in unreadDigests/{userUid},
+// and the next digest is sent only after the user has been online again.
+// Users are checked page by page. When the time budget runs out, the cursor is saved in jobs/sendUnreadDigests,
+// and the next invocation continues from it.
+exports.sendUnreadDigests = functions
+	.runWith({	// Extend default limits, because the job checks many users
+		timeoutSeconds: 540
+	})
+	.pubsub.schedule('every 1 hours')
+	.onRun(oncePerEvent('sendUnreadDigests', (context) => {
+		const jobRef = firestore.collection('jobs').doc('sendUnreadDigests');
+		const deadlineMillis = Date.now() + unreadDigestTimeBudgetMillis;
 
-// Chain of triggers:
-// 1. User deleted in FirebaseAuth (onUserDelete) -> Delete user document in Firestore
-// 2. User document deleted in Firestore (onUserDocumentDelete) -> Delete user related data in Firestore, including chatrooms of user
-// 3. Chatroom of user deleted (onChatroomOfUserDelete) -> Delete all chatroom messages, if second user does not exist
-exports.onUserDelete = functions.auth.user()
-	.onDelete((user) => {
-    	const userUid = user.uid;
+		return jobRef.get()
+			.then(doc => {
+				let job = doc.exists ? doc.data() : {};
 
-	    // Delete user document
-		firestore.collection('users').doc(userUid).delete();
+				if (job.isPassInProgress !== true) {
+					job.isPassInProgress = true;
+					job.cursor = null;
+					job.passStartedAt = admin.firestore.Timestamp.now();
+				}
 
-		return null;
+				return getSendUnreadDigestsPagePromise(jobRef, job, deadlineMillis);
+			});
+	}));
+
+// -----------------------
+
+// Delete expired entries of the processed events ledger and expired chatroom purge marks
+exports.cleanUpProcessedEvents = functions.pubsub.schedule('every 24 hours')
+	.onRun((context) => {
+		const nowTimestamp = admin.firestore.Timestamp.now();
+
+		const expiredEventsQuery = firestore
+			.collection('processedEvents')
+			.where('expireAt', '<', nowTimestamp)
+			.limit(deleteCollectionBatchSize);
+
+		const expiredChatroomPurgesQuery = firestore
+			.collection('chatroomPurges')
+			.where('expireAt', '<', nowTimestamp)
+			.limit(deleteCollectionBatchSize);
+
+		return Promise.all([
+			deleteQuery(expiredEventsQuery, deleteCollectionBatchSize),
+			deleteQuery(expiredChatroomPurgesQuery, deleteCollectionBatchSize)
+		]);
 	});
 
 // -----------------------
 
-// Delete user related data (orphaned data) on user document delete in Firestore
-exports.onUserDocumentDelete = functions
-	.runWith({	// Extend default limits, because recursive data deletion may take up much resources
+// Callable function.
+// Previously called directly from the app to update username and userpic in chatrooms.
+// User profile changes are now propagated by onUserProfileUpdate(),
+// so this function does nothing and is kept only for old app versions.
+exports.updateUserNameAndPicInChatrooms = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	return null;
+});    
+
+// -----------------------
+
+// Propagate changes of user's displayed name (name or username) and userpic
+// to chatrooms of other users with this user (see processChatroomFanOut) and to reviews written by this user.
+// User pending deletion is displayed as deleted user without userpic, and chatrooms and reviews are marked,
+// so that the app can hide them (restored user gets the name and userpic back).
+// Review updates in turn trigger onReviewWrite(), which updates the latest review author
+// in offer rating summaries of providers.
+// Current values are read from the user document, so that retried or delayed events
+// do not overwrite newer changes. Documents, that already have current values, are skipped,
+// so the retried event continues from where the failed one has stopped.
+exports.onUserProfileUpdate = functions
+	.runWith({	// Extend default limits, because popular users may have many chatrooms and reviews
 		timeoutSeconds: 540,
-		memory: '2GB'
+		memory: '1GB',
+		failurePolicy: true
 	})
 	.firestore.document('users/{userUid}')
-    .onDelete((snap, context) => {
+    .onUpdate(oncePerEvent('onUserProfileUpdate', (change, context) => {
     	const userUid = context.params.userUid;
-    	const deletedUser = snap.data();
-
-	    let deleteFavoritesPromise = getDeleteFavoritesPromise(userUid, deleteCollectionBatchSize);
-
-	    // Running this promise will in turn trigger onChatroomOfUserDelete()
-	    let deleteChatroomsOfUserPromise = getDeleteChatroomsOfUserPromise(userUid, deleteCollectionBatchSize);
 
-	    let deleteAllOffersPromise = getDeleteAllOffersPromise(userUid, deletedUser);
+    	if (!isUserProfileChanged(change.before.data(), change.after.data())) {
+    		return null;
+    	}
 
-		// Delete favorites and chatrooms of user
-		return Promise.all([deleteFavoritesPromise, deleteChatroomsOfUserPromise, deleteAllOffersPromise])
-			.then(() => {
-			    deleteUserOnlineValue(userUid);
-				deleteUserPic(userUid, deletedUser);
-				deleteUserPhotos(userUid, deletedUser);
-				return;
-			});
-    });
+    	return firestore.collection('users').doc(userUid).get()
+    		.then(doc => {
+    			if (!doc.exists) {
+    				// User has been deleted since
+    				return null;
+    			}
+
+    			const user = doc.data();
+    			const isPendingDeletion = user.isPendingDeletion === true;
+    			const userName = getDisplayedUserName(user);
+    			const userPicUrl = isPendingDeletion ? "" : getUserPicUrl(user);
+
+    			return Promise.all([
+    				getStartChatroomFanOutPromise(userUid, userName, userPicUrl, isPendingDeletion),
+    				getUpdateReviewsAuthorPromise(userUid, userName, userPicUrl, isPendingDeletion, null)
+    			]);
+    		});
+    }));
 
 // -----------------------
 
-// Remove all chatroom messages on chatroomOfUser delete, if second user does not exist.
-// This gets triggered if user removes his chatroom or when the user is deleted.
-exports.onChatroomOfUserDelete = functions
-	.runWith({	// Extend default limits, because recursive data deletion may take up much resources
+// Update user's displayed name and userpic in chatrooms of other users with this user.
+// Job in chatroomFanOuts/{userUid} is processed page by page, and its cursor and progress are saved after every page.
+// When the time budget runs out, the job sequence is increased, which triggers the next invocation.
+// Progress updates do not change the sequence, so they are ignored here.
+// If the job is restarted with new values (new run), the old run stops after the current page.
+exports.processChatroomFanOut = functions
+	.runWith({	// Extend default limits, because popular users may have many chatrooms
 		timeoutSeconds: 540,
-		memory: '2GB'
+		memory: '1GB',
+		failurePolicy: true
 	})
-	.firestore.document('userChatrooms/{userUid}/chatroomsOfUser/{chatroomUid}')
-    .onDelete((snap, context) => {
+	.firestore.document('chatroomFanOuts/{userUid}')
+	// This is triggered on document create, update and delete
+    .onWrite(oncePerEvent('processChatroomFanOut', (change, context) => {
     	const userUid = context.params.userUid;
-    	const chatroomUid = context.params.chatroomUid;
+    	const oldJob = change.before.data();
+    	const job = change.after.data();
 
-    	const deletedChatroom = snap.data();
-    	const secondUserUid = deletedChatroom.secondUserUid;
+    	if (job === undefined || job.status !== 'inProgress') {
+    		return null;
+    	}
 
-	    // Get second user in the chat
-	    return firestore
-            .collection('users')
-            .doc(secondUserUid)
-            .get()
-            .then(doc => {
-            	if (!doc.exists) {
-            		// If second user not exists, delete all chatroom messages
-            		return getDeleteChatroomMessagesPromise(chatroomUid, deleteCollectionBatchSize);
-            	
-            	} else {
-            		// Otherwise do NOT delete messages, because second user still needs them
-			  		return null;
-            	}
-		    })
-    });
+    	if (oldJob !== undefined && oldJob.runId === job.runId && oldJob.sequence === job.sequence) {
+    		// Progress update of the running invocation
+    		return null;
+    	}
 
-// === Functions ===
+		const jobRef = change.after.ref;
+		const deadlineMillis = Date.now() + chatroomFanOutTimeBudgetMillis;
 
-function getUserNameOrUsername(name, userName) {
-    return (userName !== undefined && userName !== "") ? userName : name;
-}
+		// Event may be retried after failure, so continue from the last saved cursor
+		return jobRef.get()
+			.then(doc => {
+				const currentJob = doc.data();
 
-function getChatroomUid(senderUid, receiverUid) {
-    return (senderUid < receiverUid) ? `${senderUid}_${receiverUid}` : `${receiverUid}_${senderUid}`;
-}
+				if (currentJob === undefined || currentJob.runId !== job.runId || currentJob.status !== 'inProgress') {
+					// Job has been restarted or finished since
+					return null;
+				}
 
-function getNewMessageCount(tempNewMessageCount) {
-	return (tempNewMessageCount !== undefined) ? tempNewMessageCount : 0;
-}
+				return getChatroomFanOutPagePromise(jobRef, userUid, currentJob, deadlineMillis);
+			});
+    }));
 
-function getUserChatroomRef(userUid, chatroomUid) {
-	return firestore.collection('userChatrooms').doc(userUid).collection('chatroomsOfUser').doc(chatroomUid);
-}
+// -----------------------
 
-function getUpdatedChatroom(secondUserUid, secondUserName, secondUserPicUrl) {
-	// These properties are updated anyway
-	return {
-		secondUserUid: `${secondUserUid}`,
-		secondUserName: `${secondUserName}`,
-		secondUserPicUrl: `${secondUserPicUrl}`
-	};
-}
+// Callable function.
+// Previously called directly from the app on review create, update and delete
+// to recalculate offer rating. Offer ratings are now updated by onReviewWrite(),
+// so this function does nothing and is kept only for old app versions.
+// (Recalculating here would count the review twice, because the trigger applies
+// the review to the rating incrementally.)
+exports.recalculateRating = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
 
-function updateChatroomLastMessage(chatroom, messageText, messageTimestamp) {
-	chatroom["lastMessageText"] = `${messageText}`;
-	chatroom["lastMessageTimestamp"] = messageTimestamp;					    		
+	return null;
+});    
 
-	return chatroom;
-}
+// -----------------------
 
-function getSendNotificationPromise(senderUid, senderName, senderUserPicUrl, messageText, messageTimestampMillis, receiverToken) {
-    // Create FCM message with sender uid and name and message text.
-    // We must send DATA FCM message, not notification message
-    // (message contains only "data" part).
-    // This is because notification messages do not trigger
-    // FirebaseMessagingService.onMessageReceived() on the Android device,
-    // when the app is in the BACKGROUND, and we need to show 
-    // new chat message notification exactly when the app is in the background.
-    const payload = {
-      data: {
-	    senderUid: `${senderUid}`,
-	    senderName: `${senderName}`,
-	    senderUserPicUrl: `${senderUserPicUrl}`,
-        messageText: `${messageText}`,
-        messageTimestamp: `${messageTimestampMillis}`
-      }
-    };
+// Keep offer rating in the provider user up to date on every review create, update and delete.
+// Offer rating keeps running rating sum and review count, that are adjusted
+// by the difference between the old and the new review, and the latest review of the offer.
+// New review is counted only if its author is eligible to review the offer
+// (otherwise the review is flagged as ineligible).
+exports.onReviewWrite = functions
+	.runWith({failurePolicy: true})
+	.firestore.document('reviews/{offerReviewsDocumentUid}/reviewsOfOffer/{reviewUid}')
+	// This is triggered on document create, update and delete
+    .onWrite(oncePerEvent('onReviewWrite', (change, context) => {
+    	const offerReviewsDocumentUid = context.params.offerReviewsDocumentUid;
+    	const reviewUid = context.params.reviewUid;
+
+    	if (!change.before.exists) {
+    		// New review is counted only after eligibility check
+    		return getCheckReviewEligibilityPromise(offerReviewsDocumentUid, change.after)
+    			.then(isEligible => {
+    				return isEligible ? getUpdateOfferRatingOnReviewWritePromise(offerReviewsDocumentUid, reviewUid, undefined, getCountedReview(change.after.data())) : null;
+    			});
+    	}
 
-    // Create promise to send FCM message to the device with specified FCM token.
-    return admin.messaging().sendToDevice(receiverToken, payload);
-}
+    	if (change.after.exists && change.after.data().isIneligible === true && change.before.data().isIneligible !== true) {
+    		// Review has just been flagged as ineligible on create, so it has never been counted
+    		return null;
+    	}
+
+    	if (isDeletedAuthorMarkingWrite(change.before.data(), change.after.data())) {
+    		// Review has just been anonymized by the deletion cascade, which doesn't change the rating
+    		// (ratings of affected offers are recalculated once after all reviews are anonymized).
+    		// Later writes to the anonymized review are handled as usual.
+    		return null;
+    	}
+
+    	// Review is undefined, if it has just been deleted.
+    	// Hidden reviews are not counted in offer rating,
+    	// so hiding the review is handled as delete and restoring as create.
+    	const oldReview = getCountedReview(change.before.data());
+    	const newReview = getCountedReview(change.after.data());
+
+    	if (oldReview === undefined && newReview === undefined) {
+    		// Hidden review has been changed, nothing to update
+    		return null;
+    	}
+
+    	return getUpdateOfferRatingOnReviewWritePromise(offerReviewsDocumentUid, reviewUid, oldReview, newReview);
+    }));
+
+// -----------------------
+
+// Callable function
+// Called directly from the app, when the provider replies to the review of his offer.
+// Only the provider can reply, and only once per review.
+exports.replyToReview = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		providerUserUid: {type: 'string', nonEmpty: true},
+		offerUid: {type: 'string', nonEmpty: true},
+		reviewUid: {type: 'string', nonEmpty: true},
+		text: {type: 'string', nonEmpty: true, maxLength: maxReviewReplyLength}
+	});
+
+	const providerUserUid = validData.providerUserUid;
+	const offerUid = validData.offerUid;
+
+	checkCallerIsUser(context, providerUserUid);
+
+	const reviewRef = getOfferReviewRef(getOfferReviewsDocumentUid(providerUserUid, offerUid), validData.reviewUid);
+
+	return getExistingUserPromise(providerUserUid)
+		.then(doc => {
+			checkUserHasOffer(doc.data(), offerUid);
+			return getReplyToReviewPromise(reviewRef, validData.text);
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Called directly from the app, when any user reports the review as abusive.
+// Report is put into reviewReports moderation queue (one report per review per reporter).
+exports.reportReview = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		providerUserUid: {type: 'string', nonEmpty: true},
+		offerUid: {type: 'string', nonEmpty: true},
+		reviewUid: {type: 'string', nonEmpty: true},
+		reason: {type: 'string', optional: true, maxLength: maxReviewReportReasonLength}
+	});
+
+	const offerReviewsDocumentUid = getOfferReviewsDocumentUid(validData.providerUserUid, validData.offerUid);
+	const reviewUid = validData.reviewUid;
+	const reporterUid = context.auth.uid;
+
+	return getOfferReviewRef(offerReviewsDocumentUid, reviewUid)
+		.get()
+		.then(doc => {
+			if (!doc.exists) {
+				throw new functions.https.HttpsError('not-found', 'Review not found.');
+			}
+
+			return firestore
+				.collection('reviewReports')
+				.doc(`${offerReviewsDocumentUid}_${reviewUid}_${reporterUid}`)
+				.create({
+					offerReviewsDocumentUid: offerReviewsDocumentUid,
+					reviewUid: reviewUid,
+					reporterUid: reporterUid,
+					reason: validData.reason !== undefined ? validData.reason : "",
+					status: 'pending',
+					timestamp: FieldValue.serverTimestamp()
+				});
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			if (err.code === alreadyExistsErrorCode) {
+				// The user has already reported this review
+				return null;
+			}
+
+			throw err;
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Called by admins to process review report from the moderation queue:
+// - hide: review is hidden (and is not counted in offer rating anymore)
+// - restore: hidden review is restored
+// - dismiss: report is dismissed, review stays as is
+// All reports of the same review get the resulting status.
+exports.moderateReview = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+	checkAdmin(context);
+
+	const validData = validateData(data, {
+		reportUid: {type: 'string', nonEmpty: true},
+		action: {type: 'string', values: ['hide', 'restore', 'dismiss']}
+	});
+
+	const action = validData.action;
+	let report;
+
+	return firestore
+		.collection('reviewReports')
+		.doc(validData.reportUid)
+		.get()
+		.then(doc => {
+			if (!doc.exists) {
+				throw new functions.https.HttpsError('not-found', 'Review report not found.');
+			}
+
+			report = doc.data();
+
+			return getOfferReviewRef(report.offerReviewsDocumentUid, report.reviewUid).get();
+		})
+		.then(doc => {
+			if (!doc.exists) {
+				throw new functions.https.HttpsError('not-found', 'Review not found.');
+			}
+
+			// Offer rating is updated by onReviewWrite()
+			return action === 'dismiss' ? null : doc.ref.update({isHidden: action === 'hide'});
+		})
+		.then(() => {
+			return getUpdateReviewReportsStatusPromise(report.offerReviewsDocumentUid, report.reviewUid, reviewReportStatuses[action]);
+		});
+});
+
+// Callable function
+// Called directly from the app to delete offer related data on manual offer delete
+exports.deleteOfferData = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		userUid: {type: 'string', nonEmpty: true},
+		offerUid: {type: 'string', nonEmpty: true}
+	});
+
+	const userUid = validData.userUid;
+	const offerUid = validData.offerUid;
+
+	// Only the provider can delete data of his own offers
+	checkCallerIsUser(context, userUid);
+
+	// Delete offer reviews.
+	// We don't have to delete offer photos here, because this is done from the app.
+	return getExistingUserPromise(userUid)
+		.then(doc => {
+			return getDeleteOfferReviewsPromise(userUid, offerUid, deleteCollectionBatchSize);
+		})
+		.then(() => {
+			// Delete offer rating list item for the offer being deleted
+			return deleteOfferRatingListItem(userUid, offerUid);
+		});
+});    
+
+// -----------------------
+
+// Callable function
+// Called directly from the app to register FCM token of the current device.
+// The user may be logged in on several devices, so all tokens are kept in fcm_tokens array.
+exports.registerFcmToken = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		token: {type: 'string', nonEmpty: true}
+	});
+
+	return firestore.collection('users')
+				.doc(context.auth.uid)
+				.set({fcm_tokens: FieldValue.arrayUnion(validData.token)}, {merge: true})
+				.then(result => {
+					return null;
+				});
+});
+
+// -----------------------
+
+// Callable function
+// Called directly from the app on sign out to stop sending notifications to the current device
+exports.unregisterFcmToken = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		token: {type: 'string', nonEmpty: true}
+	});
+
+	return getRemoveFcmTokensPromise(context.auth.uid, [validData.token]);
+});
+
+// -----------------------
+
+// Callable function
+// Blocks another user for the caller.
+// Messages from the blocked user are not delivered to the caller,
+// and chatroom with the blocked user is hidden from the caller's chatrooms
+// (it stays hidden, even if the caller sends messages to the blocked user).
+exports.blockUser = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		userUid: {type: 'string', nonEmpty: true}
+	});
+
+	const userUid = context.auth.uid;
+	const blockedUserUid = validData.userUid;
+
+	if (blockedUserUid === userUid) {
+		throw new functions.https.HttpsError('invalid-argument', 'The user cannot block himself.');
+	}
+
+	return getExistingUserPromise(blockedUserUid)
+		.then(doc => {
+			return getBlockedUserRef(userUid, blockedUserUid).set({timestamp: FieldValue.serverTimestamp()});
+		})
+		.then(() => {
+			return getHideChatroomPromise(userUid, getChatroomUid(userUid, blockedUserUid));
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Unblocks previously blocked user and restores hidden chatroom with this user.
+// Messages sent by the user while blocked are not counted as new messages in the restored chatroom.
+exports.unblockUser = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		userUid: {type: 'string', nonEmpty: true}
+	});
+
+	const userUid = context.auth.uid;
+	const blockedUserUid = validData.userUid;
+
+	return getBlockedUserRef(userUid, blockedUserUid)
+		.delete()
+		.then(() => {
+			return getRestoreChatroomPromise(userUid, getChatroomUid(userUid, blockedUserUid));
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Creates group chatroom with the caller as the owner and provided users as participants.
+// Chatroom of user is created for every participant, so the group appears in their chat lists.
+exports.createGroupChatroom = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		name: {type: 'string', nonEmpty: true},
+		picUrl: {type: 'string', optional: true},
+		participantUids: {type: 'array', nonEmpty: true}
+	});
+
+	const ownerUid = context.auth.uid;
+	const participantUids = getGroupChatroomParticipantUids(ownerUid, validData.participantUids);
+	const chatroomRef = firestore.collection('chatrooms').doc();
+
+	const groupChatroom = {
+		isGroup: true,
+		name: validData.name,
+		picUrl: validData.picUrl !== undefined ? validData.picUrl : "",
+		ownerUid: ownerUid,
+		participantUids: participantUids
+	};
+
+	// All participants must exist
+	return Promise.all(participantUids.map(participantUid => getExistingUserPromise(participantUid)))
+		.then(docs => {
+			let batch = firestore.batch();
+
+			batch.set(chatroomRef, groupChatroom);
+
+			participantUids.forEach(participantUid => {
+				batch.set(getUserChatroomRef(participantUid, chatroomRef.id), getUpdatedGroupChatroom(groupChatroom));
+			});
+
+			return batch.commit();
+		})
+		.then(() => {
+			return {chatroomUid: chatroomRef.id};
+		});
+});
+
+// -----------------------
+
+// Send chat notifications, that have been deferred because of the receiver's quiet hours.
+// Deferred notification is stored per receiver chatroom, so the receiver gets
+// only one notification with the latest message of every chatroom after quiet hours end.
+exports.sendDeferredNotifications = functions.pubsub.schedule('every 15 minutes')
+	.onRun(oncePerEvent('sendDeferredNotifications', (context) => {
+		return firestore
+			.collection('deferredNotifications')
+			.where('sendAt', '<=', admin.firestore.Timestamp.now())
+			.limit(deferredNotificationsBatchSize)
+			.get()
+			.then(snapshot => {
+				let sendPromiseArray = [];
+
+				snapshot.forEach(doc => {
+					sendPromiseArray.push(getSendDeferredNotificationPromise(doc));
+				});
+
+				return Promise.all(sendPromiseArray);
+			});
+	}));
+
+// -----------------------
+
+// On every user online status update in Realtime Database
+// update user online status in Firestore.
+exports.onUserStatusChange = functions
+	.runWith({failurePolicy: true})
+	.database.ref('/online/{userUid}')
+	.onUpdate(oncePerEvent('onUserStatusChange', (change, context) => {
+    	const newStatus = change.after.val();
+    	const userUid = context.params.userUid;
+
+    	if (newStatus === true) {
+    		// If user online, do nothing
+	    	return null;
+
+    	} else {
+    		// Otherwise set user online status false and last seen time in Firestore
+    		return firestore.collection('users')
+    					.doc(userUid)
+						.set({
+							is_online: false,
+							last_seen: Date.now()
+						}, {merge: true});
+    	}
+	}));
+
+// -----------------------
+
+// On every user isHiveRunning status update in Realtime Database
+// update user isHiveRunning status in Firestore.
+exports.onUserIsHiveRunningChange = functions
+	.runWith({failurePolicy: true})
+	.database.ref('/isHiveRunning/{userUid}')
+	.onUpdate(oncePerEvent('onUserIsHiveRunningChange', (change, context) => {
+    	const newIsHiveRunning = change.after.val();
+    	const userUid = context.params.userUid;
+
+    	if (newIsHiveRunning === true) {
+    		// If isHiveRunning true, do nothing
+	    	return null;
+
+    	} else {
+    		// Otherwise set isHiveRunning false in Firestore
+    		return firestore.collection('users')
+    					.doc(userUid)
+						.set({isHiveRunning: false}, {merge: true});
+    	}
+	}));
+
+// -----------------------
+
+// Keep flat offer index (offerIndex collection) up to date with user's offers.
+// Every active offer of the user gets its own index document
+// with keywords from offer title, description and username (see searchOffers).
+// If the user has location, the document also gets geohash of the location,
+// so that nearby offers can be found with geohash range queries (see searchNearbyOffers).
+// Index is rewritten only if the fields it depends on have changed.
+exports.onUserDocumentWrite = functions
+	.runWith({failurePolicy: true})
+	.firestore.document('users/{userUid}')
+	// This is triggered on document create, update and delete
+    .onWrite(oncePerEvent('onUserDocumentWrite', (change, context) => {
+    	const userUid = context.params.userUid;
+
+    	// User is undefined, if the document has just been created (old) or deleted (new)
+    	const oldUser = change.before.data();
+    	const newUser = change.after.data();
+
+    	if (!isOfferIndexChanged(oldUser, newUser)) {
+    		return null;
+    	}
+
+    	return getUpdateOfferIndexPromise(userUid, newUser);
+    }));
+
+// -----------------------
+
+// Callable function
+// Returns offers within radiusKm from (lat, lng) sorted by distance
+// (up to maxNearbyOfferResultCount nearest offers, see getNearbyOffersPromise()).
+exports.searchNearbyOffers = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		lat: {type: 'number', min: -90, max: 90},
+		lng: {type: 'number', min: -180, max: 180},
+		radiusKm: {type: 'number', min: 0, max: maxSearchRadiusKm}
+	});
+
+	return getNearbyOffersPromise(validData.lat, validData.lng, validData.radiusKm)
+		.then(offers => {
+			return {offers: offers};
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Returns offers, which keywords match the query, sorted by number of matched terms and then by rating.
+// Optional filters: minPrice, maxPrice, minRating, providerUserUid.
+exports.searchOffers = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		query: {type: 'string', nonEmpty: true, maxLength: 200},
+		filters: {type: 'object', optional: true}
+	});
+
+	const filters = validData.filters !== undefined ? validateData(validData.filters, {
+		minPrice: {type: 'number', optional: true, min: 0},
+		maxPrice: {type: 'number', optional: true, min: 0},
+		minRating: {type: 'number', optional: true, min: 0, max: 5},
+		providerUserUid: {type: 'string', optional: true, nonEmpty: true}
+	}) : {};
+
+	const terms = getSearchTerms(validData.query);
+
+	if (terms.length === 0) {
+		return {offers: []};
+	}
+
+	return getSearchOffersPromise(terms, filters)
+		.then(offers => {
+			return {offers: offers};
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Exports personal data of the caller as a zip archive in Storage and returns its signed download URL.
+// Export is done in chunks by processDataExport(), so if it is still in progress,
+// the status is returned, and the client should call this function again later
+// (or listen to dataExports/{userUid} document).
+// Note that signing the URL needs iam.serviceAccounts.signBlob permission
+// (Service Account Token Creator role) for the runtime service account of the functions.
+exports.exportMyData = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const userUid = context.auth.uid;
+	const dataExportRef = firestore.collection('dataExports').doc(userUid);
+
+	return dataExportRef.get()
+		.then(doc => {
+			const dataExport = doc.data();
+			const nowMillis = Date.now();
+
+			if (dataExport !== undefined && dataExport.status === 'finished'
+					&& nowMillis - dataExport.finishedAt.toMillis() < dataExportReuseMillis) {
+				return getDataExportUrlPromise(dataExport.archivePath);
+			}
+
+			if (dataExport !== undefined && dataExport.status === 'inProgress'
+					&& nowMillis - dataExport.updatedAt.toMillis() < dataExportStaleMillis) {
+				return {status: 'inProgress'};
+			}
+
+			return getStartDataExportPromise(dataExportRef, dataExport);
+		});
+});
+
+// -----------------------
+
+// Process personal data export in progress.
+// Documents are written to Storage as JSON parts page by page. When the time budget runs out,
+// the cursor is saved in dataExports/{userUid}, which triggers the next invocation.
+// Source list is kept in Storage, because it grows with the number of chatrooms and offers
+// and may not fit into the export document.
+// After all documents are exported, the parts and user's photos are packed into zip archive.
+exports.processDataExport = functions
+	.runWith({	// Extend default limits, because the export may process much data
+		timeoutSeconds: 540,
+		memory: '1GB',
+		failurePolicy: true
+	})
+	.firestore.document('dataExports/{userUid}')
+	// This is triggered on document create, update and delete
+    .onWrite(oncePerEvent('processDataExport', (change, context) => {
+    	const userUid = context.params.userUid;
+    	const dataExport = change.after.data();
+
+    	if (dataExport === undefined || dataExport.status !== 'inProgress') {
+    		return null;
+    	}
+
+		const dataExportRef = change.after.ref;
+		const deadlineMillis = Date.now() + dataExportTimeBudgetMillis;
+
+		const sourcesPromise = dataExport.sourceCount !== null
+			? getLoadDataExportSourcesPromise(userUid)
+			: getSaveDataExportSourcesPromise(userUid);
+
+		return sourcesPromise
+			.then(sources => {
+				dataExport.sourceCount = sources.length;
+				return getProcessDataExportPagePromise(dataExportRef, userUid, dataExport, sources, deadlineMillis);
+			});
+    }));
+
+// -----------------------
+
+// Mark user document in Firestore pending deletion on user delete in FirebaseAuth.
+// User document is deleted by purgeDeletedAccounts() after the grace period.
+// Note that here we listen to FirebaseAuth, NOT Firestore!
+
+// Chain of triggers:
+// 1. User deleted in FirebaseAuth (onUserDelete) -> Delete user document in Firestore
+// 2. User document deleted in Firestore (onUserDocumentDelete) -> Delete user related data in Firestore, including chatrooms of user
+// 3. Chatroom of user deleted (onChatroomOfUserDelete) -> Delete all chatroom messages, if second user does not exist
+exports.onUserDelete = functions
+	.runWith({failurePolicy: true})
+	.auth.user()
+	.onDelete(oncePerEvent('onUserDelete', (user, context) => {
+    	const userUid = user.uid;
+
+	    // Do not delete user document immediately, but schedule it for deletion after the grace period.
+	    // The user can't sign in anymore, so only admin can restore the account with restoreAccount(),
+	    // which recreates FirebaseAuth user with the same uid.
+		return getMarkAccountPendingDeletionPromise(userUid);
+	}));
+
+// -----------------------
+
+// Callable function
+// Marks the account of the caller as pending deletion.
+// The account is hidden from other users and its data is kept for the grace period,
+// during which the user can still sign in and restore it with restoreAccount().
+exports.deleteAccount = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const userUid = context.auth.uid;
+
+	return getExistingUserPromise(userUid)
+		.then(() => {
+			return getMarkAccountPendingDeletionPromise(userUid);
+		})
+		.then(deletionScheduledAt => {
+			return {deletionScheduledAt: deletionScheduledAt !== null ? deletionScheduledAt.toDate().toISOString() : null};
+		});
+});
+
+// -----------------------
+
+// Callable function
+// Restores the account pending deletion.
+// Users can restore their own account, admins can restore any account.
+// If FirebaseAuth user has been deleted (see onUserDelete), it is recreated with the same uid,
+// but without any sign-in methods, so the admin must link one to it (for example, email and password)
+// with Firebase console or Admin SDK, before the user can sign in again.
+exports.restoreAccount = functions.https.onCall((data, context) => {
+	checkAuthenticated(context);
+
+	const validData = validateData(data, {
+		userUid: {type: 'string', optional: true, nonEmpty: true}
+	});
+
+	const userUid = validData.userUid !== undefined ? validData.userUid : context.auth.uid;
+
+	if (userUid !== context.auth.uid) {
+		checkAdmin(context);
+	}
+
+	let userRef;
+	let isAuthUserRecreated;
+
+	return getExistingUserPromise(userUid)
+		.then(doc => {
+			if (doc.data().isPendingDeletion !== true) {
+				throw new functions.https.HttpsError('failed-precondition', 'Account is not pending deletion.');
+			}
+
+			userRef = doc.ref;
+
+			return getRecreateAuthUserPromise(userUid);
+		})
+		.then(isRecreated => {
+			isAuthUserRecreated = isRecreated;
+
+			return userRef.update({
+				isPendingDeletion: FieldValue.delete(),
+				deletionRequestedAt: FieldValue.delete(),
+				deletionScheduledAt: FieldValue.delete()
+			});
+		})
+		.then(() => {
+			return {restored: true, authUserRecreated: isAuthUserRecreated};
+		});
+});
+
+// -----------------------
+
+// Delete accounts, which grace period after deletion has expired.
+// FirebaseAuth user (if still exists) and user document are deleted,
+// and user document delete triggers onUserDocumentDelete() that deletes all user data.
+// Accounts are purged in batches until all of them are purged or the time budget runs out,
+// the remaining accounts are purged by the next invocation.
+exports.purgeDeletedAccounts = functions
+	.runWith({	// Extend default limits, because many accounts may expire at once
+		timeoutSeconds: 540
+	})
+	.pubsub.schedule('every 1 hours')
+	.onRun(oncePerEvent('purgeDeletedAccounts', (context) => {
+		const deadlineMillis = Date.now() + purgeDeletedAccountsTimeBudgetMillis;
+
+		return getPurgeDeletedAccountsBatchPromise(admin.firestore.Timestamp.now(), null, deadlineMillis);
+	}));
+
+// -----------------------
+
+// Delete user related data (orphaned data) on user document delete in Firestore
+exports.onUserDocumentDelete = functions
+	.runWith({	// Extend default limits, because recursive data deletion may take up much resources
+		timeoutSeconds: 540,
+		memory: '2GB',
+		failurePolicy: true
+	})
+	.firestore.document('users/{userUid}')
+    .onDelete(oncePerEvent('onUserDocumentDelete', (snap, context) => {
+    	const userUid = context.params.userUid;
+    	const deletedUser = snap.data();
+
+	    let deleteFavoritesPromise = getDeleteFavoritesPromise(userUid, deleteCollectionBatchSize);
+
+	    // Running this promise will in turn trigger onChatroomOfUserDelete()
+	    let deleteChatroomsOfUserPromise = getDeleteChatroomsOfUserPromise(userUid, deleteCollectionBatchSize);
+
+	    // Reviews of the user on other users' offers are deleted or anonymized after offers of the user are deleted
+	    // (the user may have reviews on own offers), and ratings of affected offers are recalculated
+	    let deleteAllOffersPromise = getDeleteAllOffersPromise(userUid, deletedUser)
+	    	.then(() => {
+	    		return getCleanUpWrittenReviewsPromise(userUid, []);
+	    	});
+
+	    let deleteBlockedUsersPromise = getDeleteBlockedUsersPromise(userUid, deleteCollectionBatchSize);
+
+	    // Hidden chatrooms do not trigger onChatroomOfUserDelete(),
+	    // so their messages are deleted here, if second user does not exist.
+	    let deleteHiddenChatroomsOfUserPromise = getDeleteHiddenChatroomsOfUserPromise(userUid);
+
+	    let deleteDataExportPromise = getDeleteDataExportPromise(userUid);
+
+		// Delete favorites and chatrooms of user
+		return Promise.all([deleteFavoritesPromise, deleteChatroomsOfUserPromise, deleteAllOffersPromise, deleteBlockedUsersPromise, deleteHiddenChatroomsOfUserPromise, deleteDataExportPromise])
+			.then(() => {
+				return Promise.all([
+					deleteUserOnlineValue(userUid),
+					deleteUserPic(userUid, deletedUser),
+					deleteUserPhotos(userUid, deletedUser)
+				]);
+			});
+    }));
+
+// -----------------------
+
+// Remove all chatroom messages on chatroomOfUser delete, if second user does not exist.
+// For group chatroom the user leaves the group, and messages are removed
+// only after the last participant has left.
+// This gets triggered if user removes his chatroom or when the user is deleted.
+exports.onChatroomOfUserDelete = functions
+	.runWith({	// Extend default limits, because recursive data deletion may take up much resources
+		timeoutSeconds: 540,
+		memory: '2GB',
+		failurePolicy: true
+	})
+	.firestore.document('userChatrooms/{userUid}/chatroomsOfUser/{chatroomUid}')
+    .onDelete(oncePerEvent('onChatroomOfUserDelete', (snap, context) => {
+    	const userUid = context.params.userUid;
+    	const chatroomUid = context.params.chatroomUid;
+
+    	const deletedChatroom = snap.data();
+    	const secondUserUid = deletedChatroom.secondUserUid;
+
+    	if (deletedChatroom.isGroup === true) {
+    		return getLeaveGroupChatroomPromise(chatroomUid, userUid)
+    			.then(remainingParticipantCount => {
+    				// Delete messages only if nobody needs them anymore
+    				return remainingParticipantCount === 0 ? getDeleteChatroomMessagesPromise(chatroomUid, deleteCollectionBatchSize) : null;
+    			});
+    	}
+
+    	return getDeleteOrphanedChatroomMessagesPromise(chatroomUid, secondUserUid);
+    }));
+
+// === Functions ===
+
+// --- Callable function checks ---
+
+// Throw HttpsError, if callable function is called by unauthenticated user
+function checkAuthenticated(context) {
+	if (!context.auth) {
+	  // Throwing an HttpsError so that the client gets the error details.
+	  throw new functions.https.HttpsError('failed-precondition', 'The function must be called while authenticated.');
+	}
+}
+
+// Throw HttpsError, if the caller is not an admin (admins have 'admin' custom claim)
+function checkAdmin(context) {
+	if (context.auth.token.admin !== true) {
+		throw new functions.https.HttpsError('permission-denied', 'The function can be called by admins only.');
+	}
+}
+
+// Throw HttpsError, if the caller is not the user with provided uid
+function checkCallerIsUser(context, userUid) {
+	if (context.auth.uid !== userUid) {
+		throw new functions.https.HttpsError('permission-denied', 'The caller is not allowed to access data of another user.');
+	}
+}
+
+// Validate callable function data against the schema.
+// Schema keys are data field names and values are field rules:
+// - type: 'string', 'number', 'boolean', 'object' or 'array' (required)
+// - optional: true, if the field may be missing (undefined or null)
+// - nonEmpty: true, if string or array must not be empty
+// - min, max: allowed range of number value
+// - maxLength: maximum length of string
+// - values: array of allowed values
+// Returns new object with validated fields only (missing optional fields are skipped).
+// Throws HttpsError with 'invalid-argument' code on the first invalid field.
+function validateData(data, schema) {
+	if (data === undefined || data === null || typeof data !== 'object' || Array.isArray(data)) {
+		throw new functions.https.HttpsError('invalid-argument', 'Function data must be an object.');
+	}
+
+	const validData = {};
+
+	Object.keys(schema).forEach(fieldName => {
+		const value = data[fieldName];
+		const error = getFieldValidationError(value, schema[fieldName]);
+
+		if (error !== null) {
+			throw new functions.https.HttpsError('invalid-argument', `Field '${fieldName}' ${error}.`);
+		}
+
+		if (value !== undefined && value !== null) {
+			validData[fieldName] = value;
+		}
+	});
+
+	return validData;
+}
+
+// Return validation error description or null, if the value satisfies the rule
+function getFieldValidationError(value, rule) {
+	if (value === undefined || value === null) {
+		return rule.optional ? null : 'is required';
+	}
+
+	const valueType = Array.isArray(value) ? 'array' : typeof value;
+
+	if (valueType !== rule.type) {
+		return `must be of type ${rule.type}`;
+	}
+
+	if (valueType === 'number' && !isFinite(value)) {
+		return 'must be a finite number';
+	}
+
+	if (rule.nonEmpty && (valueType === 'string' || valueType === 'array') && value.length === 0) {
+		return 'must not be empty';
+	}
+
+	if (rule.min !== undefined && value < rule.min) {
+		return `must not be less than ${rule.min}`;
+	}
+
+	if (rule.max !== undefined && value > rule.max) {
+		return `must not be greater than ${rule.max}`;
+	}
+
+	if (rule.maxLength !== undefined && valueType === 'string' && value.length > rule.maxLength) {
+		return `must not be longer than ${rule.maxLength}`;
+	}
+
+	if (rule.values !== undefined && rule.values.indexOf(value) < 0) {
+		return `must be one of: ${rule.values.join(', ')}`;
+	}
+
+	return null;
+}
+
+// Get user document or reject with HttpsError, if the user does not exist
+function getExistingUserPromise(userUid) {
+	return firestore
+		.collection('users')
+		.doc(userUid)
+		.get()
+		.then(doc => {
+			if (!doc.exists) {
+				throw new functions.https.HttpsError('not-found', 'User not found.');
+			}
+
+			return doc;
+		});
+}
+
+// Throw HttpsError, if the user has no offer with provided uid
+function checkUserHasOffer(user, offerUid) {
+	if (!isOfferOfUser(user, offerUid)) {
+		throw new functions.https.HttpsError('not-found', 'Offer not found.');
+	}
+}
+
+function isOfferOfUser(user, offerUid) {
+	const offerList = user.offerList !== undefined ? user.offerList : [];
+
+	return offerList.findIndex(offer => offer.offer_uid === offerUid) >= 0;
+}
+
+// -------------------------
+
+function getUserNameOrUsername(name, userName) {
+    return (userName !== undefined && userName !== "") ? userName : name;
+}
+
+// Users pending deletion are shown to other users as deleted users without userpic
+function getDisplayedUserName(user) {
+	return user.isPendingDeletion === true ? deletedUserName : getUserNameOrUsername(user.name, user.username);
+}
+
+function getDisplayedUserPicUrl(user) {
+	return user.isPendingDeletion === true ? "" : user.userPicUrl;
+}
+
+function getChatroomUid(senderUid, receiverUid) {
+    return (senderUid < receiverUid) ? `${senderUid}_${receiverUid}` : `${receiverUid}_${senderUid}`;
+}
+
+function getNewMessageCount(tempNewMessageCount) {
+	return (tempNewMessageCount !== undefined) ? tempNewMessageCount : 0;
+}
+
+function getUserChatroomRef(userUid, chatroomUid) {
+	return firestore.collection('userChatrooms').doc(userUid).collection('chatroomsOfUser').doc(chatroomUid);
+}
+
+function getUpdatedChatroom(secondUserUid, secondUserName, secondUserPicUrl) {
+	// These properties are updated anyway
+	return {
+		secondUserUid: `${secondUserUid}`,
+		secondUserName: `${secondUserName}`,
+		secondUserPicUrl: `${secondUserPicUrl}`
+	};
+}
+
+function updateChatroomLastMessage(chatroom, messageText, messageTimestamp) {
+	chatroom["lastMessageText"] = `${messageText}`;
+	chatroom["lastMessageTimestamp"] = messageTimestamp;					    		
+
+	return chatroom;
+}
+
+// Create FCM message payload for new chat message
+function getChatMessagePayload(chatroomUid, senderUid, senderName, senderUserPicUrl, messageText, messageTimestampMillis) {
+    // Create FCM message with sender uid and name and message text.
+    // We must send DATA FCM message, not notification message
+    // (message contains only "data" part).
+    // This is because notification messages do not trigger
+    // FirebaseMessagingService.onMessageReceived() on the Android device,
+    // when the app is in the BACKGROUND, and we need to show 
+    // new chat message notification exactly when the app is in the background.
+    return {
+      data: {
+	    senderUid: `${senderUid}`,
+	    senderName: `${senderName}`,
+	    senderUserPicUrl: `${senderUserPicUrl}`,
+        messageText: `${messageText}`,
+        messageTimestamp: `${messageTimestampMillis}`,
+        chatroomUid: `${chatroomUid}`
+      }
+    };
+}
+
+function getSendNotificationPromise(chatroomUid, receiverUid, receiver, payload) {
+	if (receiver.isPendingDeletion === true) {
+		// Account of the receiver is being deleted
+		return Promise.resolve(null);
+	}
+
+    // Mute settings are stored in the receiver's chatroom
+    return getUserChatroomRef(receiverUid, chatroomUid)
+    	.get()
+    	.then(doc => {
+    		const nowMillis = Date.now();
+
+    		if (isChatroomMuted(doc.data(), nowMillis)) {
+    			// Receiver has muted this chatroom, do not send anything
+    			return null;
+    		}
+
+    		const quietHoursEndMillis = getQuietHoursEndMillis(receiver.quietHours, nowMillis);
+
+    		if (quietHoursEndMillis !== null) {
+    			// Receiver is in quiet hours now, send notification when they end
+    			return getDeferNotificationPromise(receiverUid, chatroomUid, payload, quietHoursEndMillis);
+    		}
+
+		    // Create promise to send FCM message to all devices with specified FCM tokens.
+		    return getSendToDevicesPromise(receiverUid, getUserFcmTokens(receiver), payload);
+    	});
+}
+
+// Chatroom is muted, if isMuted is true and mutedUntil is either not set (muted indefinitely)
+// or is still in the future.
+function isChatroomMuted(chatroom, nowMillis) {
+	if (chatroom === undefined || chatroom.isMuted !== true) {
+		return false;
+	}
+
+	const mutedUntil = chatroom.mutedUntil;
+
+	return mutedUntil === undefined || mutedUntil === null || mutedUntil.toMillis() > nowMillis;
+}
+
+// Quiet hours are stored in the user as {start: 'HH:mm', end: 'HH:mm', timeZone: 'Europe/Moscow'}.
+// Returns time in millis, when current quiet hours end,
+// or null, if the user is not in quiet hours now (or quiet hours are not set or invalid).
+function getQuietHoursEndMillis(quietHours, nowMillis) {
+	if (quietHours === undefined || quietHours === null) {
+		return null;
+	}
+
+	const startMinutes = getMinutesOfDay(quietHours.start);
+	const endMinutes = getMinutesOfDay(quietHours.end);
+	const nowMinutes = getLocalMinutesOfDay(nowMillis, quietHours.timeZone);
+
+	if (startMinutes === null || endMinutes === null || nowMinutes === null || startMinutes === endMinutes) {
+		return null;
+	}
+
+	// Quiet hours may pass midnight (for example, from 22:00 till 07:00)
+	const isQuiet = (startMinutes < endMinutes)
+		? (nowMinutes >= startMinutes && nowMinutes < endMinutes)
+		: (nowMinutes >= startMinutes || nowMinutes < endMinutes);
+
+	if (!isQuiet) {
+		return null;
+	}
+
+	const minutesTillEnd = (endMinutes - nowMinutes + 24 * 60) % (24 * 60);
+
+	return nowMillis + minutesTillEnd * 60 * 1000;
+}
+
+// Convert 'HH:mm' string into minutes since midnight or null, if the string is invalid
+function getMinutesOfDay(time) {
+	const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+
+	if (match === null) {
+		return null;
+	}
+
+	const hours = parseInt(match[1], 10);
+	const minutes = parseInt(match[2], 10);
+
+	return (hours < 24 && minutes < 60) ? hours * 60 + minutes : null;
+}
+
+// Get minutes since midnight in provided time zone or null, if the time zone is invalid
+function getLocalMinutesOfDay(millis, timeZone) {
+	try {
+		const localTime = new Intl.DateTimeFormat('en-US', {
+			timeZone: timeZone,
+			hour: '2-digit',
+			minute: '2-digit',
+			hour12: false
+		}).format(new Date(millis));
+
+		// Some ICU versions format midnight as 24:00
+		return getMinutesOfDay(localTime.replace(/^24/, '00'));
+
+	} catch (err) {
+		console.log('Invalid quiet hours time zone:', timeZone);
+		return null;
+	}
+}
+
+// Save notification to be sent after quiet hours end.
+// Only the latest message of the chatroom is kept.
+function getDeferNotificationPromise(receiverUid, chatroomUid, payload, sendAtMillis) {
+	return firestore
+		.collection('deferredNotifications')
+		.doc(`${receiverUid}_${chatroomUid}`)
+		.set({
+			receiverUid: receiverUid,
+			sendAt: admin.firestore.Timestamp.fromMillis(sendAtMillis),
+			data: payload.data
+		});
+}
+
+// Send deferred notification to all current devices of the receiver and remove it
+function getSendDeferredNotificationPromise(deferredNotificationDoc) {
+	const deferredNotification = deferredNotificationDoc.data();
+	const receiverUid = deferredNotification.receiverUid;
+
+	return firestore
+		.collection('users')
+		.doc(receiverUid)
+		.get()
+		.then(doc => {
+			if (!doc.exists) {
+				// Receiver has been deleted, just remove the notification
+				return null;
+			}
+
+			return getSendToDevicesPromise(receiverUid, getUserFcmTokens(doc.data()), {data: deferredNotification.data});
+		})
+		.then(() => {
+			return deferredNotificationDoc.ref.delete();
+		})
+		.catch(err => {
+			// Do not stop sending other notifications, this one will be sent next time
+			return getRecordFailedOperationPromise('sendDeferredNotification', [deferredNotificationDoc.id], receiverUid, err);
+		});
+}
+
+// Send deferred notification, if it still exists (used to replay failed sending)
+function getSendDeferredNotificationByUidPromise(deferredNotificationUid) {
+	return firestore
+		.collection('deferredNotifications')
+		.doc(deferredNotificationUid)
+		.get()
+		.then(doc => {
+			return doc.exists ? getSendDeferredNotificationPromise(doc) : null;
+		});
+}
+
+// Send FCM message to all provided tokens of the user
+// and remove tokens, that are no longer valid, from the user.
+function getSendToDevicesPromise(userUid, tokens, payload) {
+	if (tokens.length === 0) {
+		// User has no registered devices, do nothing
+		return Promise.resolve(null);
+	}
+
+	return admin.messaging().sendToDevice(tokens, payload)
+		.then(response => {
+			// Results are in the same order as the tokens
+			const invalidTokens = [];
+
+			response.results.forEach((result, index) => {
+				const error = result.error;
+				if (error !== undefined && invalidFcmTokenErrorCodes.indexOf(error.code) >= 0) {
+					invalidTokens.push(tokens[index]);
+
+				} else if (error !== undefined) {
+					console.log('FCM message send failure:', error);
+				}
+			});
+
+			return getRemoveFcmTokensPromise(userUid, invalidTokens);
+		});
+}
+
+// Get FCM tokens of all user devices.
+// Old app versions store single token in fcm_token, so it is also included.
+function getUserFcmTokens(user) {
+	let tokens = user.fcm_tokens !== undefined ? user.fcm_tokens.slice() : [];
+
+	if (user.fcm_token !== undefined && user.fcm_token !== "") {
+		tokens.push(user.fcm_token);
+	}
+
+	// Remove empty and duplicate tokens
+	return tokens.filter((token, index) => token !== "" && tokens.indexOf(token) === index);
+}
+
+// Remove provided FCM tokens from the user
+function getRemoveFcmTokensPromise(userUid, tokens) {
+	if (tokens.length === 0) {
+		return Promise.resolve(null);
+	}
+
+	const userRef = firestore.collection('users').doc(userUid);
+
+	// Remove legacy single token too, if it is among the removed ones
+	return firestore.runTransaction(transaction => {
+			return transaction.get(userRef)
+				.then(doc => {
+					if (!doc.exists) {
+						return null;
+					}
+
+					let updatedUser = {
+						fcm_tokens: FieldValue.arrayRemove(...tokens)
+					};
+
+					if (tokens.indexOf(doc.data().fcm_token) >= 0) {
+						updatedUser["fcm_token"] = FieldValue.delete();
+					}
+
+					return transaction.update(userRef, updatedUser);
+				})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			// Message has already been sent, so do not retry the whole event because of the token cleanup.
+			// Tokens are recorded inside the object, because Firestore does not store nested arrays.
+			return getRecordFailedOperationPromise('removeFcmTokens', [{userUid: userUid, tokens: tokens}], userUid, err);
+		});
+}
+
+// Remove FCM tokens recorded as {userUid, tokens} (used to replay failed removal)
+function getRemoveFcmTokensByArgsPromise(removeFcmTokensArgs) {
+	return getRemoveFcmTokensPromise(removeFcmTokensArgs.userUid, removeFcmTokensArgs.tokens);
+}
 
 function getReceiverChatroomUnreadMessagesPromise(chatroomUid, receiverUid) {
     return firestore
-    	.collection('chatrooms')
-    	.doc(chatroomUid)
-    	.collection('messages')
-    	.where('isRead', '==', false)
-    	.where('receiver_uid', '==', receiverUid)
+    	.collection('chatrooms')
+    	.doc(chatroomUid)
+    	.collection('messages')
+    	.where('isRead', '==', false)
+    	.where('receiver_uid', '==', receiverUid)
+		.get()
+}
+
+// Count unread messages in the snapshot.
+// Messages sent by the blocked user while blocked are not counted.
+function getUnreadMessageCount(snapshot) {
+	return snapshot.docs.filter(doc => doc.data().is_sent_while_blocked !== true).length;
+}
+
+function getUpdateSenderChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText) {
+    const chatroomUid = getChatroomUid(senderUid, receiverUid);
+
+	// For sender chatroom second user is the receiver
+	let updatedSenderChatroom = getUpdatedChatroom(receiverUid, receiverName, receiverUserPicUrl);
+
+	return firestore.runTransaction(transaction => {
+			let senderChatroomRef;
+
+		    return transaction.get(getBlockedUserRef(senderUid, receiverUid))
+		    	.then(doc => {
+		    		// If the sender has blocked the receiver, the chatroom stays hidden
+		    		// and the hidden chatroom is updated instead of creating the visible one
+		    		senderChatroomRef = doc.exists ? getHiddenUserChatroomRef(senderUid, chatroomUid) : getUserChatroomRef(senderUid, chatroomUid);
+
+		    		return transaction.get(senderChatroomRef);
+		    	})
+				.then(doc => {
+					// Get sender chatroom
+					const senderChatroom = doc.data();
+
+					updatedSenderChatroom = updateChatroomLastMessage(updatedSenderChatroom, messageText, messageTimestamp);
+
+					if (senderChatroom === undefined) {
+						// Chatroom does not exist yet.
+						// Create it instead of updating.
+						return transaction.set(senderChatroomRef, updatedSenderChatroom);
+
+					} else {
+						// Get current last message timestamp
+						const senderChatroomCurrentLastMessageTimestamp = senderChatroom.lastMessageTimestamp;
+
+						// Update sender chatroom only if this message is newer, 
+						// than the last message in the chatroom.
+						if (senderChatroomCurrentLastMessageTimestamp === undefined || messageTimestamp.toMillis() > senderChatroomCurrentLastMessageTimestamp.toMillis()) {
+							return transaction.update(senderChatroomRef, updatedSenderChatroom);
+
+						} else {
+							// Message is older than sender chatroom last message, do not update
+							return null;
+						}
+					}
+		    	})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			return getTrackFailurePromise('updateSenderChatroomOnCreate', [senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText], senderUid, err);
+		});
+}
+
+function getUpdateReceiverChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText) {
+    const chatroomUid = getChatroomUid(senderUid, receiverUid);
+	const receiverChatroomRef = getUserChatroomRef(receiverUid, chatroomUid);
+
+	// For receiver chatroom second user is the sender
+	let updatedReceiverChatroom = getUpdatedChatroom(senderUid, senderName, senderUserPicUrl);
+
+	return firestore.runTransaction(transaction => {
+			let receiverChatroom;
+			let receiverChatroomCurrentLastMessageTimestamp = 0;
+			let receiverChatroomCurrentNewMessageCount;
+
+	    	return transaction.get(receiverChatroomRef)
+	    		.then(doc => {
+					// Get receiver chatroom
+					receiverChatroom = doc.data();
+
+					// Get current last message timestamp and new message count
+					receiverChatroomCurrentLastMessageTimestamp = receiverChatroom !== undefined ? receiverChatroom.lastMessageTimestamp : undefined;
+					receiverChatroomCurrentNewMessageCount = receiverChatroom !== undefined ? receiverChatroom.newMessageCount : 0;
+
+			        // Get receiver's unread chatroom messages
+			        return getReceiverChatroomUnreadMessagesPromise(chatroomUid, receiverUid);
+		    	})
+		    	.then(snapshot => {
+					// Count the number of unread chatroom messages
+					const unreadMessageCount = getUnreadMessageCount(snapshot);
+
+			    	let isCountUpdated = false;
+			    	let isLastMessageUpdated = false;
+
+				    // New message count in the receiver chatroom must be updated only if it is different
+			    	if (unreadMessageCount !== receiverChatroomCurrentNewMessageCount) {
+						updatedReceiverChatroom["newMessageCount"] = unreadMessageCount;
+						isCountUpdated = true;
+			    	}
+
+					// Last message in the receiver chatroom should be updated,
+					// only if this message is newer.
+			    	if (receiverChatroomCurrentLastMessageTimestamp === undefined || messageTimestamp.toMillis() > receiverChatroomCurrentLastMessageTimestamp.toMillis()) {
+						updatedReceiverChatroom = updateChatroomLastMessage(updatedReceiverChatroom, messageText, messageTimestamp);			    		
+						isLastMessageUpdated = true;
+			    	}
+
+			    	if (receiverChatroom === undefined) {
+						// Chatroom does not exist yet.
+						// Create it instead of updating.
+			    		return transaction.set(receiverChatroomRef, updatedReceiverChatroom);
+
+			    	} else {
+				    	if (isCountUpdated || isLastMessageUpdated) {
+				    		// If new message count or last message should be updated, 
+				    		// then update receiver chatroom.
+				    		return transaction.update(receiverChatroomRef, updatedReceiverChatroom);
+
+				    	} else {
+				    		// If nothing should be updated, do nothing.
+				    		return null;
+				    	}
+			    	}
+		    	})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			return getTrackFailurePromise('updateReceiverChatroomOnCreate', [senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText], receiverUid, err);
+		});
+}
+
+// Group chat messages keep uids of participants, who have not read them yet, in unread_by
+function getParticipantChatroomUnreadMessagesPromise(chatroomUid, participantUid) {
+    return firestore
+    	.collection('chatrooms')
+    	.doc(chatroomUid)
+    	.collection('messages')
+    	.where('unread_by', 'array-contains', participantUid)
+		.get()
+}
+
+function getUpdateReceiverChatroomOnUpdatePromise(chatroomUid, receiverUid, isGroup) {
+    const receiverChatroomRef = getUserChatroomRef(receiverUid, chatroomUid);
+
+    // Run new message counter update inside the transaction
+    // to prevent corrupting data by parallel function execution.
+    // Transaction will restart from the beginning, if the data
+    // (the receiver's chatroom new message counter)
+    // is modified by another function instance execution.
+	return firestore.runTransaction(transaction => {
+			let currentReceiverNewMessageCount;
+
+		    return transaction.get(receiverChatroomRef)
+	    		.then(doc => {
+					// Get receiver chatroom from the document
+					const receiverChatroom = doc.data();
+
+					if (receiverChatroom === undefined) {
+						// Receiver has deleted the chatroom (or left the group), do nothing
+						return null;
+					}
+
+					currentReceiverNewMessageCount = getNewMessageCount(receiverChatroom.newMessageCount);
+
+					if (currentReceiverNewMessageCount === 0) {
+						// Do nothing, if new message count is already 0
+						return null;
+
+					} else if (isGroup) {
+						// Otherwise get participant's unread group chatroom messages
+						return getParticipantChatroomUnreadMessagesPromise(chatroomUid, receiverUid);
+
+					} else {
+				        // Otherwise get receiver's unread chatroom messages
+				        return getReceiverChatroomUnreadMessagesPromise(chatroomUid, receiverUid);
+					}
+		    	})
+				.then(snapshot => {
+					if (snapshot !== null) {
+						// Count the number of unread chatroom messages
+						const unreadMessageCount = getUnreadMessageCount(snapshot);
+
+				    	if (unreadMessageCount !== currentReceiverNewMessageCount) {
+				    		// If the number of unread chatroom messages is different from the current new message count,
+					    	// update new message count of the receiver's chatroom with the number of unread messages.
+					      	return transaction.update(receiverChatroomRef, {newMessageCount: unreadMessageCount});
+				    	
+				    	} else {
+				    		// Current new message count is already correct, do nothing
+				    		return null;
+				    	}
+
+				    } else {
+				    	// Snapshot is null (because current new message count is already 0 int previous then()),
+				    	// do nothing.
+				    	return null;
+				    }
+				})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			return getTrackFailurePromise('updateReceiverChatroomOnUpdate', [chatroomUid, receiverUid, isGroup], receiverUid, err);
+		});
+}
+
+// --- Message edit and delete ---
+
+// Group chat messages have no single receiver
+function isGroupChatMessage(message) {
+	return message.receiver_uid === undefined;
+}
+
+// Get uids of all users, who have chatroom of user for this chatroom
+function getChatroomParticipantUidsPromise(chatroomUid, message) {
+	if (!isGroupChatMessage(message)) {
+		return Promise.resolve([message.sender_uid, message.receiver_uid]);
+	}
+
+	return firestore
+		.collection('chatrooms')
+		.doc(chatroomUid)
+		.get()
+		.then(doc => {
+			// Group chatroom is deleted, when the last participant leaves
+			return doc.exists ? doc.data().participantUids : [];
+		});
+}
+
+// Get document of the last chatroom message, that has not been rejected,
+// or undefined, if there are no such messages.
+function getLastChatroomMessagePromise(chatroomUid, startAfterDoc) {
+    let query = firestore
+    	.collection('chatrooms')
+    	.doc(chatroomUid)
+    	.collection('messages')
+    	.orderBy('timestamp', 'desc')
+    	.limit(lastChatroomMessagePageSize);
+
+    if (startAfterDoc !== undefined) {
+    	query = query.startAfter(startAfterDoc);
+    }
+
+	return query.get()
+		.then(snapshot => {
+			const lastMessageDoc = snapshot.docs.find(doc => doc.data().is_rejected !== true);
+
+			if (lastMessageDoc !== undefined || snapshot.size < lastChatroomMessagePageSize) {
+				return lastMessageDoc;
+			}
+
+			// All messages of the page have been rejected, check the next page
+			return getLastChatroomMessagePromise(chatroomUid, snapshot.docs[snapshot.size - 1]);
+		});
+}
+
+// Edited message is shown in chatroom previews only if it is the last message of the chatroom
+function getUpdateChatroomsOnMessageEditPromise(chatroomUid, messageUid, message) {
+	return getLastChatroomMessagePromise(chatroomUid)
+		.then(lastMessageDoc => {
+			if (lastMessageDoc === undefined || lastMessageDoc.id !== messageUid) {
+				// Edited message is not the last one, previews stay the same
+				return [];
+			}
+
+			return getChatroomParticipantUidsPromise(chatroomUid, message);
+		})
+		.then(participantUids => {
+			return Promise.all(participantUids.map(participantUid => getRecalculateUserChatroomPromise(chatroomUid, participantUid, isGroupChatMessage(message))));
+		});
+}
+
+// Recalculate last message and new message count of the user's chatroom
+// from the messages, that remain in the chatroom.
+// Chatroom is not created, if the user has already deleted it.
+function getRecalculateUserChatroomPromise(chatroomUid, userUid, isGroup) {
+	const userChatroomRef = getUserChatroomRef(userUid, chatroomUid);
+
+	return firestore.runTransaction(transaction => {
+			let lastMessage;
+			let unreadMessageCount;
+
+		    return transaction.get(userChatroomRef)
+	    		.then(doc => {
+	    			if (!doc.exists) {
+	    				return null;
+	    			}
+
+	    			const unreadMessagesPromise = isGroup
+	    				? getParticipantChatroomUnreadMessagesPromise(chatroomUid, userUid)
+	    				: getReceiverChatroomUnreadMessagesPromise(chatroomUid, userUid);
+
+	    			return Promise.all([getLastChatroomMessagePromise(chatroomUid), unreadMessagesPromise]);
+	    		})
+	    		.then(results => {
+	    			if (results === null) {
+	    				return null;
+	    			}
+
+	    			lastMessage = results[0] !== undefined ? results[0].data() : undefined;
+	    			unreadMessageCount = getUnreadMessageCount(results[1]);
+
+	    			// Group chatroom preview also shows the name of the last message sender
+	    			return (isGroup && lastMessage !== undefined) ? firestore.collection('users').doc(lastMessage.sender_uid).get() : undefined;
+	    		})
+	    		.then(senderDoc => {
+	    			if (senderDoc === null) {
+	    				return null;
+	    			}
+
+	    			let updatedUserChatroom = {
+	    				newMessageCount: unreadMessageCount
+	    			};
+
+	    			if (lastMessage !== undefined) {
+	    				updatedUserChatroom = updateChatroomLastMessage(updatedUserChatroom, getMessagePreviewText(lastMessage), lastMessage.timestamp);
+
+	    			} else {
+	    				// No messages left
+	    				updatedUserChatroom["lastMessageText"] = "";
+	    				updatedUserChatroom["lastMessageTimestamp"] = FieldValue.delete();
+	    			}
+
+	    			if (senderDoc !== undefined) {
+	    				const sender = senderDoc.exists ? senderDoc.data() : {};
+	    				updatedUserChatroom["lastMessageSenderName"] = `${getDisplayedUserName(sender)}`;
+	    			}
+
+	    			return transaction.update(userChatroomRef, updatedUserChatroom);
+	    		})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			return getTrackFailurePromise('recalculateUserChatroom', [chatroomUid, userUid, isGroup], userUid, err);
+		});
+}
+
+// Send data FCM message about retracted (deleted) chat message to all devices of the receiver
+// and remove deferred notification of this message, if it has not been sent yet.
+function getSendMessageRetractedNotificationPromise(chatroomUid, messageUid, message, receiverUid) {
+	const messageTimestampMillis = message.timestamp.toMillis();
+	const deferredNotificationRef = firestore.collection('deferredNotifications').doc(`${receiverUid}_${chatroomUid}`);
+
+	const payload = {
+		data: {
+			type: 'messageRetracted',
+			chatroomUid: `${chatroomUid}`,
+			messageUid: `${messageUid}`,
+			senderUid: `${message.sender_uid}`,
+			messageTimestamp: `${messageTimestampMillis}`
+		}
+	};
+
+	return Promise.all([
+			getUserChatroomRef(receiverUid, chatroomUid).get(),
+			firestore.collection('users').doc(receiverUid).get(),
+			deferredNotificationRef.get()
+		])
+		.then(docs => {
+			if (!docs[0].exists || !docs[1].exists) {
+				// Receiver has deleted the chatroom (or the whole account), nothing to retract
+				return null;
+			}
+
+			let promiseArray = [getSendToDevicesPromise(receiverUid, getUserFcmTokens(docs[1].data()), payload)];
+
+			const deferredNotification = docs[2].data();
+
+			if (deferredNotification !== undefined && deferredNotification.data.messageTimestamp === `${messageTimestampMillis}`) {
+				promiseArray.push(deferredNotificationRef.delete());
+			}
+
+			return Promise.all(promiseArray);
+		});
+}
+
+// -------------------------
+
+// --- Chat rate limits and blocklist ---
+
+// Count the message (or the edit of the message) in sender's rate limits and return reject reason,
+// if the sender has exceeded them, or null otherwise.
+// Counters are kept in chatRateLimits/{senderUid} in fixed minute and day windows.
+// New chatroom is the direct chatroom, that the sender does not have yet (edit never starts new chatroom).
+function getChatMessageRejectReasonPromise(chatroomUid, message, isEdit) {
+	const senderUid = message.sender_uid;
+	const rateLimitRef = firestore.collection('chatRateLimits').doc(senderUid);
+	const senderChatroomRef = getUserChatroomRef(senderUid, chatroomUid);
+	const isDirectMessage = !isEdit && !isGroupChatMessage(message);
+
+	return firestore.runTransaction(transaction => {
+		return Promise.all([transaction.get(rateLimitRef), isDirectMessage ? transaction.get(senderChatroomRef) : null])
+			.then(results => {
+				const nowMillis = Date.now();
+				const minuteStartMillis = nowMillis - nowMillis % (60 * 1000);
+				const dayStartMillis = nowMillis - nowMillis % (24 * 60 * 60 * 1000);
+				const isNewChatroom = isDirectMessage && !results[1].exists;
+
+				let rateLimit = results[0].exists ? results[0].data() : {};
+
+				if (rateLimit.minuteStartMillis !== minuteStartMillis) {
+					rateLimit.minuteStartMillis = minuteStartMillis;
+					rateLimit.minuteMessageCount = 0;
+				}
+
+				if (rateLimit.dayStartMillis !== dayStartMillis) {
+					rateLimit.dayStartMillis = dayStartMillis;
+					rateLimit.dayNewChatroomCount = 0;
+				}
+
+				if (rateLimit.minuteMessageCount >= maxChatMessagesPerMinute) {
+					return 'messageRateLimit';
+				}
+
+				if (isNewChatroom && rateLimit.dayNewChatroomCount >= maxNewChatroomsPerDay) {
+					return 'newChatroomRateLimit';
+				}
+
+				rateLimit.minuteMessageCount++;
+
+				if (isNewChatroom) {
+					rateLimit.dayNewChatroomCount++;
+				}
+
+				transaction.set(rateLimitRef, rateLimit);
+				return null;
+			});
+	});
+}
+
+// Mark the message rejected. Rejected direct message is also marked read,
+// and rejected group message is marked read by all participants,
+// so that it is not counted in unread messages of the receivers.
+function getRejectChatMessagePromise(messageRef, message, rejectReason) {
+	console.log('Chat message rejected:', messageRef.path, message.sender_uid, rejectReason);
+
+	let updatedMessage = {
+		is_rejected: true,
+		rejected_reason: rejectReason
+	};
+
+	if (isGroupChatMessage(message)) {
+		updatedMessage["unread_by"] = [];
+	} else {
+		updatedMessage["isRead"] = true;
+	}
+
+	return messageRef.update(updatedMessage);
+}
+
+// Edited message is checked against rate limits and blocklist like the new message.
+// If the sender has exceeded rate limits, the edit is reverted.
+// Otherwise chatroom previews are updated with the edited text (masked, if needed).
+// Checked text is saved in checked_message_text, so that onUpdateChatMessage() ignores this update.
+function getCheckChatMessageEditPromise(messageRef, chatroomUid, oldMessage, newMessage, processedEvent) {
+	let isRejected = false;
+
+	// Edit must not be counted in rate limits again, if the event is retried
+	return getRunEventStepOncePromise(processedEvent, 'rateLimit', () => getChatMessageRejectReasonPromise(chatroomUid, newMessage, true))
+		.then(rejectReason => {
+			if (rejectReason !== null) {
+				isRejected = true;
+				console.log('Chat message edit rejected:', messageRef.path, newMessage.sender_uid, rejectReason);
+
+				const oldMessageText = oldMessage.message_text !== undefined ? oldMessage.message_text : "";
+
+				return messageRef.update({
+					message_text: oldMessageText,
+					checked_message_text: oldMessageText,
+					edit_rejected_reason: rejectReason
+				});
+			}
+
+			return getApplyChatBlocklistPromise(messageRef, newMessage, true);
+		})
+		.then(filteredMessage => {
+			return isRejected ? null : getUpdateChatroomsOnMessageEditPromise(chatroomUid, messageRef.id, filteredMessage);
+		});
+}
+
+// Mask or flag the message (depending on the blocklist mode), if it contains blocked words or links.
+// Edited message is also marked checked (see getCheckChatMessageEditPromise()).
+// Returns the message with masked text to be used in chatrooms and notifications.
+function getApplyChatBlocklistPromise(messageRef, message, isEdit) {
+	const blocklist = getChatBlocklist();
+	const blocklistResult = getChatBlocklistResult(message.message_text, blocklist);
+
+	if (blocklistResult.blockedTerms.length === 0 && !isEdit) {
+		return Promise.resolve(message);
+	}
+
+	let updatedMessage = {};
+
+	if (blocklistResult.blockedTerms.length > 0) {
+		updatedMessage = blocklist.mode === 'mask'
+			? {message_text: blocklistResult.maskedText, is_masked: true}
+			: {is_flagged: true, flagged_terms: blocklistResult.blockedTerms};
+	}
+
+	if (isEdit) {
+		const checkedMessageText = updatedMessage.message_text !== undefined ? updatedMessage.message_text : message.message_text;
+		updatedMessage["checked_message_text"] = checkedMessageText !== undefined ? checkedMessageText : "";
+	}
+
+	return messageRef.update(updatedMessage)
+		.then(() => {
+			// Text of the flagged message is masked by getMessagePreviewText()
+			return Object.assign({}, message, updatedMessage);
+		});
+}
+
+// Get chat blocklist from functions config
+function getChatBlocklist() {
+	const chatConfig = functions.config().chat !== undefined ? functions.config().chat : {};
+	const blockedWords = getConfigList(chatConfig.blocked_words);
+	const blockedLinkDomains = getConfigList(chatConfig.blocked_link_domains);
+
+	return {
+		blockedWords: blockedWords !== null ? blockedWords : [],
+		blockedLinkDomains: blockedLinkDomains !== null ? blockedLinkDomains.map(domain => domain.toLowerCase()) : defaultChatBlockedLinkDomains,
+		mode: chatBlocklistModes.indexOf(chatConfig.blocklist_mode) >= 0 ? chatConfig.blocklist_mode : defaultChatBlocklistMode
+	};
+}
+
+// Split comma separated list from functions config.
+// Returns null, if the list is not configured.
+function getConfigList(value) {
+	if (typeof value !== 'string') {
+		return null;
+	}
+
+	return value.split(',')
+		.map(item => item.trim())
+		.filter(item => item !== "");
+}
+
+// Parse non negative number from functions config (config values are strings).
+// Returns null, if the number is not configured or is not valid.
+function getConfigNumber(value) {
+	if (typeof value !== 'string' && typeof value !== 'number') {
+		return null;
+	}
+
+	const number = Number(value);
+
+	return (value !== "" && isFinite(number) && number >= 0) ? number : null;
+}
+
+// Replace blocked words with asterisks and blocked links with replacement text.
+// Returns masked text and the list of blocked terms found.
+function getChatBlocklistResult(text, blocklist) {
+	let blockedTerms = [];
+
+	if (typeof text !== 'string' || text === "") {
+		return {maskedText: text, blockedTerms: blockedTerms};
+	}
+
+	let maskedText = text.replace(/(https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(\/[^\s]*)?/gi, (link, protocol, host) => {
+		const lowerCaseHost = host.toLowerCase();
+		const isBlocked = blocklist.blockedLinkDomains.some(domain => lowerCaseHost === domain || lowerCaseHost.endsWith(`.${domain}`));
+
+		if (!isBlocked) {
+			return link;
+		}
+
+		blockedTerms.push(lowerCaseHost);
+		return chatBlockedLinkReplacement;
+	});
+
+	blocklist.blockedWords.forEach(word => {
+		const wordRegex = new RegExp(`(^|[^\\w])(${escapeRegExp(word)})(?=$|[^\\w])`, 'gi');
+
+		maskedText = maskedText.replace(wordRegex, (match, prefix, blockedWord) => {
+			blockedTerms.push(word.toLowerCase());
+			return prefix + '*'.repeat(blockedWord.length);
+		});
+	});
+
+	return {
+		maskedText: maskedText,
+		blockedTerms: blockedTerms.filter((term, index) => blockedTerms.indexOf(term) === index)
+	};
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// -------------------------
+
+// --- Unread message digest ---
+
+// Digest transports. Every transport sends the digest to the user and returns true,
+// if it has been sent, or false, if the user can't be reached with this transport.
+const unreadDigestTransports = {
+	email: getSendUnreadDigestEmailPromise
+};
+
+let smtpTransporter = null;
+
+// Get unread digest settings from functions config
+function getUnreadDigestConfig() {
+	const digestConfig = functions.config().digest !== undefined ? functions.config().digest : {};
+	const offlineThresholdHours = getConfigNumber(digestConfig.offline_threshold_hours);
+	const maxOfflineHours = getConfigNumber(digestConfig.max_offline_hours);
+
+	return {
+		offlineThresholdMillis: (offlineThresholdHours !== null ? offlineThresholdHours : defaultUnreadDigestOfflineThresholdHours) * 60 * 60 * 1000,
+		maxOfflineMillis: (maxOfflineHours !== null ? maxOfflineHours : defaultUnreadDigestMaxOfflineHours) * 60 * 60 * 1000,
+		transportName: unreadDigestTransports[digestConfig.transport] !== undefined ? digestConfig.transport : defaultUnreadDigestTransportName
+	};
+}
+
+// Send digests to users of the next page, save job progress and continue with the next page,
+// until all users are checked or the deadline is reached.
+// Users are ordered by last_seen and uid, so the cursor is {lastSeen, userUid} of the last checked user.
+function getSendUnreadDigestsPagePromise(jobRef, job, deadlineMillis) {
+	const nowMillis = Date.now();
+	const digestConfig = getUnreadDigestConfig();
+
+	let query = firestore
+		.collection('users')
+		.where('last_seen', '>=', nowMillis - digestConfig.maxOfflineMillis)
+		.where('last_seen', '<=', nowMillis - digestConfig.offlineThresholdMillis)
+		.orderBy('last_seen')
+		.orderBy(FieldPath.documentId())
+		.limit(unreadDigestPageSize);
+
+	if (job.cursor !== null) {
+		query = query.startAfter(job.cursor.lastSeen, job.cursor.userUid);
+	}
+
+	let pageDocs;
+
+	return query.get()
+		.then(snapshot => {
+			pageDocs = snapshot.docs;
+
+			const digestRefs = pageDocs.map(doc => firestore.collection('unreadDigests').doc(doc.id));
+
+			return digestRefs.length > 0 ? firestore.getAll(...digestRefs) : [];
+		})
+		.then(digestDocs => {
+			let sendPromiseArray = [];
+
+			pageDocs.forEach((doc, index) => {
+				const user = doc.data();
+				const unreadDigest = digestDocs[index].data();
+
+				if (user.is_online === true || user.unreadDigestOptOut === true || user.isPendingDeletion === true
+						|| (unreadDigest !== undefined && unreadDigest.lastSentAt >= user.last_seen)) {
+					// User is online, has opted out, is being deleted or has already got the digest during this offline period
+					return;
+				}
+
+				sendPromiseArray.push(getSendUnreadDigestPromise(doc.id, user));
+			});
+
+			return Promise.all(sendPromiseArray);
+		})
+		.then(() => {
+			if (pageDocs.length < unreadDigestPageSize) {
+				// This was the last page, the pass is finished
+				job.isPassInProgress = false;
+				job.cursor = null;
+				job.lastPassFinishedAt = admin.firestore.Timestamp.now();
+
+			} else {
+				const lastDoc = pageDocs[pageDocs.length - 1];
+				job.cursor = {lastSeen: lastDoc.data().last_seen, userUid: lastDoc.id};
+			}
+
+			return jobRef.set(job);
+		})
+		.then(() => {
+			if (!job.isPassInProgress || Date.now() > deadlineMillis) {
+				// Done or out of time (next invocation will continue from the cursor)
+				return null;
+			}
+
+			return getSendUnreadDigestsPagePromise(jobRef, job, deadlineMillis);
+		});
+}
+
+// Send digest of unread chatrooms to the user, if there are any (muted chatrooms are not included).
+// The digest is recorded before it is sent, so that it is never sent twice,
+// and the record is reverted, if sending fails (the next invocation will try again).
+// If sending fails permanently (for example, FirebaseAuth user does not exist), the record is kept
+// with the failure, so that the digest is not tried again during this offline period.
+function getSendUnreadDigestPromise(userUid, user) {
+	const digestRef = firestore.collection('unreadDigests').doc(userUid);
+	const transportName = getUnreadDigestConfig().transportName;
+
+	let digest;
+	let isClaimed = false;
+
+	return firestore
+		.collection('userChatrooms')
+		.doc(userUid)
+		.collection('chatroomsOfUser')
+		.where('newMessageCount', '>', 0)
+		.get()
+		.then(snapshot => {
+			const nowMillis = Date.now();
+
+			// Muted chatrooms and chatrooms with users pending deletion are not shown
+			const chatrooms = snapshot.docs
+				.map(doc => doc.data())
+				.filter(chatroom => !isChatroomMuted(chatroom, nowMillis) && chatroom.isSecondUserPendingDeletion !== true);
+
+			digest = getUnreadDigest(chatrooms);
+
+			if (digest.chatrooms.length === 0) {
+				return null;
+			}
+
+			return getClaimUnreadDigestPromise(digestRef, user.last_seen, transportName);
+		})
+		.then(claimed => {
+			isClaimed = claimed === true;
+
+			if (!isClaimed) {
+				return null;
+			}
+
+			return unreadDigestTransports[transportName](userUid, user, digest);
+		})
+		.then(isSent => {
+			if (isClaimed && !isSent) {
+				// User can't be reached, do not try again during this offline period
+				console.log('Unread digest not sent, user can not be reached:', userUid);
+			}
+
+			return null;
+		})
+		.catch(err => {
+			if (isPermanentUnreadDigestError(err)) {
+				console.log('Unread digest not sent, permanent failure:', userUid, err.code);
+				return isClaimed ? digestRef.update({failureCode: `${err.code}`}) : null;
+			}
+
+			// Release the claim, so that the next invocation will try again
+			return Promise.all([
+				getRecordFailedOperationPromise('sendUnreadDigest', [userUid], userUid, err),
+				isClaimed ? digestRef.delete() : null
+			]);
+		});
+}
+
+// Send digest to the user, if the user still exists (used to replay failed sending).
+// Digest is not sent, if it has already been sent during this offline period.
+function getSendUnreadDigestByUidPromise(userUid) {
+	return firestore
+		.collection('users')
+		.doc(userUid)
+		.get()
+		.then(doc => {
+			return doc.exists ? getSendUnreadDigestPromise(userUid, doc.data()) : null;
+		});
+}
+
+// FirebaseAuth user does not exist or SMTP server has rejected the recipient
+function isPermanentUnreadDigestError(err) {
+	return err.code === 'auth/user-not-found'
+		|| (err.code === 'EENVELOPE' && err.responseCode >= 500 && err.responseCode < 600);
+}
+
+// Record the digest for the current offline period, if it has not been recorded yet.
+// Returns true, if the digest should be sent by this invocation.
+function getClaimUnreadDigestPromise(digestRef, lastSeenMillis, transportName) {
+	return firestore.runTransaction(transaction => {
+		return transaction.get(digestRef)
+			.then(doc => {
+				const unreadDigest = doc.data();
+
+				if (unreadDigest !== undefined && unreadDigest.lastSentAt >= lastSeenMillis) {
+					return false;
+				}
+
+				transaction.set(digestRef, {
+					lastSentAt: Date.now(),
+					transport: transportName
+				});
+
+				return true;
+			});
+	});
+}
+
+// Build digest from unread chatrooms (the latest ones first)
+function getUnreadDigest(chatrooms) {
+	const getTimestampMillis = chatroom => chatroom.lastMessageTimestamp !== undefined ? chatroom.lastMessageTimestamp.toMillis() : 0;
+
+	const sortedChatrooms = chatrooms
+		.slice()
+		.sort((first, second) => getTimestampMillis(second) - getTimestampMillis(first));
+
+	let totalUnreadCount = 0;
+
+	sortedChatrooms.forEach(chatroom => {
+		totalUnreadCount += getNewMessageCount(chatroom.newMessageCount);
+	});
+
+	return {
+		totalUnreadCount: totalUnreadCount,
+		totalChatroomCount: sortedChatrooms.length,
+		chatrooms: sortedChatrooms.slice(0, maxUnreadDigestChatroomCount).map(chatroom => {
+			const previewText = chatroom.lastMessageText !== undefined ? chatroom.lastMessageText : "";
+
+			return {
+				chatroomName: chatroom.isGroup === true ? chatroom.chatroomName : chatroom.secondUserName,
+				senderName: chatroom.lastMessageSenderName !== undefined ? chatroom.lastMessageSenderName : chatroom.secondUserName,
+				previewText: previewText.length > maxUnreadDigestPreviewLength
+					? `${previewText.substring(0, maxUnreadDigestPreviewLength)}…`
+					: previewText,
+				unreadCount: getNewMessageCount(chatroom.newMessageCount)
+			};
+		})
+	};
+}
+
+// Email transport sends the digest to the email of FirebaseAuth user with SMTP server
+// configured in functions config: smtp.host, smtp.port, smtp.user, smtp.password and smtp.from
+function getSendUnreadDigestEmailPromise(userUid, user, digest) {
+	return admin.auth().getUser(userUid)
+		.then(authUser => {
+			if (authUser.email === undefined || authUser.email === null || authUser.email === "") {
+				return false;
+			}
+
+			const smtpConfig = functions.config().smtp;
+
+			return getSmtpTransporter(smtpConfig).sendMail({
+				from: smtpConfig.from,
+				to: authUser.email,
+				subject: digest.totalUnreadCount === 1 ? 'You have 1 unread message' : `You have ${digest.totalUnreadCount} unread messages`,
+				text: getUnreadDigestText(getUserNameOrUsername(user.name, user.username), digest)
+			});
+		})
+		.then(info => {
+			return info !== false;
+		});
+}
+
+function getSmtpTransporter(smtpConfig) {
+	if (smtpConfig === undefined) {
+		throw new Error('SMTP is not configured (smtp functions config is missing).');
+	}
+
+	if (smtpTransporter === null) {
+		smtpTransporter = nodemailer.createTransport({
+			host: smtpConfig.host,
+			port: Number(smtpConfig.port),
+			secure: Number(smtpConfig.port) === 465,
+			auth: {
+				user: smtpConfig.user,
+				pass: smtpConfig.password
+			}
+		});
+	}
+
+	return smtpTransporter;
+}
+
+function getUnreadDigestText(userName, digest) {
+	let lines = [
+		`Hi ${userName},`,
+		'',
+		`While you were away, you got ${digest.totalUnreadCount} unread messages in ${digest.totalChatroomCount} chats:`,
+		''
+	];
+
+	digest.chatrooms.forEach(chatroom => {
+		const senderPrefix = chatroom.senderName !== chatroom.chatroomName ? `${chatroom.senderName}: ` : '';
+		lines.push(`${chatroom.chatroomName} (${chatroom.unreadCount} new)`);
+		lines.push(`  ${senderPrefix}${chatroom.previewText}`);
+	});
+
+	if (digest.totalChatroomCount > digest.chatrooms.length) {
+		lines.push(`...and ${digest.totalChatroomCount - digest.chatrooms.length} more chats.`);
+	}
+
+	lines.push('', 'Open the app to reply.');
+
+	return lines.join('\n');
+}
+
+// -------------------------
+
+// --- Failed operations ---
+
+// Operations, which failures are recorded with getTrackFailurePromise() or getRecordFailedOperationPromise()
+// and can be replayed by replayFailedOperation() with the recorded arguments
+const replayableOperations = {
+	removeFcmTokens: getRemoveFcmTokensByArgsPromise,
+	updateSenderChatroomOnCreate: getUpdateSenderChatroomOnCreatePromise,
+	updateReceiverChatroomOnCreate: getUpdateReceiverChatroomOnCreatePromise,
+	updateReceiverChatroomOnUpdate: getUpdateReceiverChatroomOnUpdatePromise,
+	recalculateUserChatroom: getRecalculateUserChatroomPromise,
+	updateParticipantChatroomOnCreate: getUpdateParticipantChatroomOnCreatePromise,
+	recalculateRating: getRecalculateRatingPromise,
+	deleteOfferRatingListItem: deleteOfferRatingListItem,
+	sendDeferredNotification: getSendDeferredNotificationByUidPromise,
+	sendUnreadDigest: getSendUnreadDigestByUidPromise,
+	reconcileUserChatroom: getReconcileUserChatroomByUidPromise,
+	purgeDeletedAccount: getPurgeDeletedAccountByUidPromise
+};
+
+// Record the failed operation and rethrow the error, so that the triggered function fails
+// and its event is retried (triggers are deployed with failurePolicy).
+// Note that the entry stays failed, even if the operation succeeds, when the event is retried.
+// Replaying it is harmless, because tracked operations recalculate data from its current state.
+function getTrackFailurePromise(operationName, args, uid, err) {
+	return getRecordFailedOperationPromise(operationName, args, uid, err)
+		.then(() => {
+			throw err;
+		});
+}
+
+// Write structured error log entry and record the failed operation in failedOperations collection.
+// Failures of the same operation with the same arguments are recorded in the same entry
+// (with failure count), which is marked failed again, if it fails while being replayed.
+// Returns null, so that the caller can continue as if the operation has been done
+// (used for the operations, which failure should not cause retry of the whole event).
+// Args are stored as array, so array arguments must be wrapped in objects (Firestore does not store nested arrays).
+function getRecordFailedOperationPromise(operationName, args, uid, err) {
+	const storedArgs = getStorableValue(args);
+	const argsHash = crypto.createHash('sha1').update(JSON.stringify(storedArgs, firestoreJsonReplacer)).digest('hex');
+
+	functions.logger.error(`Operation ${operationName} failure: ${err.message}`, {
+		operationName: operationName,
+		params: JSON.parse(JSON.stringify(storedArgs, firestoreJsonReplacer)),
+		uid: uid,
+		errorCode: err.code !== undefined ? `${err.code}` : null,
+		stack: err.stack
+	});
+
+	return firestore
+		.collection('failedOperations')
+		.doc(`${operationName}_${argsHash}`)
+		.set({
+			operationName: operationName,
+			args: storedArgs,
+			uid: uid !== undefined ? uid : null,
+			status: 'failed',
+			errorMessage: `${err.message}`,
+			errorCode: err.code !== undefined ? `${err.code}` : null,
+			failCount: FieldValue.increment(1),
+			lastFailedAt: admin.firestore.Timestamp.now()
+		}, {merge: true})
+		.then(() => {
+			return null;
+		})
+		.catch(recordErr => {
+			functions.logger.error(`Record failed operation ${operationName} failure: ${recordErr.message}`, {operationName: operationName, uid: uid});
+			return null;
+		});
+}
+
+// Firestore does not store undefined values, so undefined array items are stored as null
+// and undefined object fields are omitted. Object fields are sorted, so that the same arguments
+// read back from Firestore get the same hash.
+function getStorableValue(value) {
+	if (value === undefined) {
+		return null;
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(item => getStorableValue(item));
+	}
+
+	if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+		let storableValue = {};
+
+		Object.keys(value).sort().forEach(key => {
+			if (value[key] !== undefined) {
+				storableValue[key] = getStorableValue(value[key]);
+			}
+		});
+
+		return storableValue;
+	}
+
+	return value;
+}
+
+// Run the operation again. Operation records its failure in the same entry (marking it failed again),
+// so the replay has succeeded, if the operation has not rejected and the entry has not been marked failed again.
+// Returns true, if the operation has been replayed.
+function getReplayFailedOperationPromise(failedOperationRef, failedOperation) {
+	let isReplayed = false;
+
+	return failedOperationRef
+		.update({
+			status: 'replaying',
+			replayCount: FieldValue.increment(1),
+			lastReplayedAt: admin.firestore.Timestamp.now()
+		})
+		.then(() => {
+			return replayableOperations[failedOperation.operationName](...failedOperation.args);
+		})
+		.then(() => {
+			return failedOperationRef.get();
+		})
+		.then(doc => {
+			isReplayed = doc.data().status === 'replaying';
+			return isReplayed ? failedOperationRef.update({status: 'replayed'}) : null;
+		})
+		.catch(err => {
+			// Failure has been recorded by the operation
+			console.log('Replay failed operation failure:', failedOperationRef.id, err.message);
+			return null;
+		})
+		.then(() => {
+			return isReplayed;
+		});
+}
+
+// -------------------------
+
+// --- Processed events ledger ---
+
+// Triggers are delivered at least once, so every trigger handler is wrapped into oncePerEvent().
+// Several functions can be triggered by the same event (and get the same event id),
+// so the event is claimed per function in processedEvents/{functionName}_{eventId} before the handler runs
+// and marked as done after it succeeds, so duplicate deliveries become no-ops.
+// If the handler fails, the claim is released and the error is rethrown,
+// so that the event is retried (triggers are deployed with failurePolicy).
+// Handler gets the claimed event as the last argument, so that the steps, which must not be repeated
+// on retry (like sending notifications), can be run with getRunEventStepOncePromise().
+function oncePerEvent(functionName, handler) {
+	return (data, context) => {
+		// Scheduled functions get event context as the only argument
+		const eventContext = context !== undefined ? context : data;
+		const eventId = `${functionName}_${eventContext.eventId}`;
+
+		if (Date.now() - Date.parse(eventContext.timestamp) > maxEventAgeMillis) {
+			// Do not retry failing event forever
+			console.log('Event is too old, ignored:', eventId, eventContext.timestamp);
+			return null;
+		}
+
+		let processedEvent = null;
+
+		return getClaimEventPromise(eventId)
+			.then(claimedEvent => {
+				processedEvent = claimedEvent;
+
+				if (processedEvent === null) {
+					console.log('Duplicate event ignored:', eventId);
+					return null;
+				}
+
+				return handler(data, context, processedEvent);
+			})
+			.then(result => {
+				return processedEvent !== null ? processedEvent.ref.update({status: 'done'}) : null;
+			})
+			.then(() => {
+				return null;
+			})
+			.catch(err => {
+				return processedEvent !== null ? getReleaseEventPromise(processedEvent.ref, err) : Promise.reject(err);
+			});
+	};
+}
+
+function getProcessedEventRef(eventId) {
+	return firestore.collection('processedEvents').doc(eventId);
+}
+
+// Returns the event claimed for processing by this invocation as {ref, steps},
+// where steps are the results of the steps done by the previous (failed) invocations.
+// Returns null, if the event can't be claimed, because it is already processed or is being processed by another invocation.
+function getClaimEventPromise(eventId) {
+	const processedEventRef = getProcessedEventRef(eventId);
+
+	return firestore.runTransaction(transaction => {
+		return transaction.get(processedEventRef)
+			.then(doc => {
+				const nowMillis = Date.now();
+				const processedEvent = doc.data();
+
+				if (processedEvent !== undefined && (processedEvent.status === 'done' || processedEvent.leaseExpireAt.toMillis() > nowMillis)) {
+					return null;
+				}
+
+				// Merge, so that the steps done by the previous invocations are kept
+				transaction.set(processedEventRef, {
+					status: 'processing',
+					leaseExpireAt: admin.firestore.Timestamp.fromMillis(nowMillis + processedEventLeaseMillis),
+					expireAt: admin.firestore.Timestamp.fromMillis(nowMillis + processedEventTtlMillis)
+				}, {merge: true});
+
+				return {
+					ref: processedEventRef,
+					steps: processedEvent !== undefined && processedEvent.steps !== undefined ? processedEvent.steps : {}
+				};
+			})
+	});
+}
+
+// Release the claim, so that the retried event can be processed, and rethrow the error.
+// Processed event is kept with the steps, that have already been done.
+function getReleaseEventPromise(processedEventRef, err) {
+	return processedEventRef
+		.update({
+			status: 'failed',
+			leaseExpireAt: admin.firestore.Timestamp.now()
+		})
+		.then(() => {
+			throw err;
+		});
+}
+
+// Run the step of the claimed event only once, even if the event is retried.
+// Result of the step is recorded in steps of the processed event, and on retry the recorded result
+// is returned without running the step again. Objects are recorded as true, undefined as null.
+function getRunEventStepOncePromise(processedEvent, stepName, runStep) {
+	if (processedEvent.steps[stepName] !== undefined) {
+		return Promise.resolve(processedEvent.steps[stepName]);
+	}
+
+	let stepResult;
+
+	return runStep()
+		.then(result => {
+			stepResult = (result === undefined || result === null) ? null : (typeof result === 'object' ? true : result);
+			processedEvent.steps[stepName] = stepResult;
+
+			return processedEvent.ref.update(new FieldPath('steps', stepName), stepResult);
+		})
+		.then(() => {
+			return stepResult;
+		});
+}
+
+// -------------------------
+
+// --- Chatroom reconciliation ---
+
+// Reconcile next page of chatrooms of users and save job progress.
+// Continues with the next page, until all chatrooms are processed or the deadline is reached.
+function getReconcileChatroomsPagePromise(jobRef, job, deadlineMillis) {
+	let query = firestore
+		.collectionGroup('chatroomsOfUser')
+		.orderBy(FieldPath.documentId())
+		.limit(reconcileChatroomsPageSize);
+
+	if (job.cursor !== null) {
+		// Cursor is the full path of the last processed chatroom of user
+		query = query.startAfter(job.cursor);
+	}
+
+	let pageDocs;
+
+	return query.get()
+		.then(snapshot => {
+			pageDocs = snapshot.docs;
+			return Promise.all(pageDocs.map(doc => getReconcileUserChatroomPromise(doc)));
+		})
+		.then(results => {
+			job.checkedCount += pageDocs.length;
+			job.correctedCount += results.filter(isCorrected => isCorrected).length;
+
+			if (pageDocs.length < reconcileChatroomsPageSize) {
+				// This was the last page, the pass is finished
+				console.log(`Chatroom reconciliation finished: ${job.checkedCount} checked, ${job.correctedCount} corrected`);
+
+				job.isPassInProgress = false;
+				job.cursor = null;
+				job.lastPassFinishedAt = admin.firestore.Timestamp.now();
+				job.lastPassCheckedCount = job.checkedCount;
+				job.lastPassCorrectedCount = job.correctedCount;
+
+			} else {
+				job.cursor = pageDocs[pageDocs.length - 1].ref.path;
+			}
+
+			return jobRef.set(job);
+		})
+		.then(() => {
+			if (!job.isPassInProgress || Date.now() > deadlineMillis) {
+				// Done or out of time (next invocation will continue from the cursor)
+				return null;
+			}
+
+			return getReconcileChatroomsPagePromise(jobRef, job, deadlineMillis);
+		});
+}
+
+// Check chatroom of user against chatroom messages and fix it, if it has drifted.
+// Returns true, if the chatroom has been corrected.
+function getReconcileUserChatroomPromise(userChatroomDoc) {
+	const userChatroom = userChatroomDoc.data();
+	const userUid = userChatroomDoc.ref.parent.parent.id;
+	const chatroomUid = userChatroomDoc.id;
+	const isGroup = userChatroom.isGroup === true;
+
+	const unreadMessagesPromise = isGroup
+		? getParticipantChatroomUnreadMessagesPromise(chatroomUid, userUid)
+		: getReceiverChatroomUnreadMessagesPromise(chatroomUid, userUid);
+
+	let isDrifted = false;
+
+	return Promise.all([getLastChatroomMessagePromise(chatroomUid), unreadMessagesPromise])
+		.then(results => {
+			const lastMessage = results[0] !== undefined ? results[0].data() : undefined;
+			const unreadMessageCount = getUnreadMessageCount(results[1]);
+
+			isDrifted = isUserChatroomDrifted(userChatroom, lastMessage, unreadMessageCount);
+
+			if (!isDrifted) {
+				return null;
+			}
+
+			console.log('Drifted chatroom of user corrected:', userUid, chatroomUid);
+
+			// Chatroom is recalculated inside transaction,
+			// because new messages may arrive while the job is running.
+			return getRecalculateUserChatroomPromise(chatroomUid, userUid, isGroup);
+		})
+		.catch(err => {
+			// Do not stop reconciling other chatrooms
+			isDrifted = false;
+			return getRecordFailedOperationPromise('reconcileUserChatroom', [userUid, chatroomUid], userUid, err);
+		})
+		.then(() => {
+			return isDrifted;
+		});
+}
+
+// Reconcile chatroom of user, if it still exists (used to replay failed reconciliation)
+function getReconcileUserChatroomByUidPromise(userUid, chatroomUid) {
+	return getUserChatroomRef(userUid, chatroomUid)
+		.get()
+		.then(doc => {
+			return doc.exists ? getReconcileUserChatroomPromise(doc) : null;
+		});
+}
+
+function isUserChatroomDrifted(userChatroom, lastMessage, unreadMessageCount) {
+	if (getNewMessageCount(userChatroom.newMessageCount) !== unreadMessageCount) {
+		return true;
+	}
+
+	const lastMessageTimestamp = userChatroom.lastMessageTimestamp;
+
+	if (lastMessage === undefined) {
+		// No messages, so there must be no last message in the chatroom
+		return lastMessageTimestamp !== undefined || (userChatroom.lastMessageText !== undefined && userChatroom.lastMessageText !== "");
+	}
+
+	return lastMessageTimestamp === undefined
+		|| lastMessageTimestamp.toMillis() !== lastMessage.timestamp.toMillis()
+		|| userChatroom.lastMessageText !== getMessagePreviewText(lastMessage);
+}
+
+// -------------------------
+
+// --- Chat attachments ---
+
+// Chat message with attachment has attachment_path (path in Storage)
+// and attachment_type ('image' or 'file').
+// Such message may have empty text, so chatroom preview and notification
+// show attachment type instead.
+// Flagged message keeps its original text, so blocked words and links are masked in the preview.
+function getMessagePreviewText(message) {
+	const messageText = message.is_flagged === true
+		? getChatBlocklistResult(message.message_text, getChatBlocklist()).maskedText
+		: message.message_text;
+
+	if (messageText !== undefined && messageText !== "") {
+		return messageText;
+	}
+
+	if (message.attachment_path !== undefined) {
+		return message.attachment_type === 'image' ? '📷 Photo' : '📎 File';
+	}
+
+	return (messageText !== undefined) ? messageText : "";
+}
+
+// Attachment of the message must be in the sender's attachments folder of the message chatroom
+// and have allowed type
+function isValidChatMessageAttachment(chatroomUid, message) {
+	const match = typeof message.attachment_path === 'string' ? chatAttachmentPathRegex.exec(message.attachment_path) : null;
+
+	return match !== null
+		&& match[1] === chatroomUid
+		&& match[2] === message.sender_uid
+		&& chatAttachmentTypes.indexOf(message.attachment_type) >= 0;
+}
+
+function getChatThumbnailPath(attachmentPath) {
+	return attachmentPath.replace('/attachments/', '/thumbnails/');
+}
+
+// Generate JPEG thumbnail for chat image attachment. Returns thumbnail path.
+function getCreateChatThumbnailPromise(attachmentPath) {
+	const thumbnailPath = getChatThumbnailPath(attachmentPath);
+
+	return bucket.file(attachmentPath)
+		.download()
+		.then(data => {
+			// Rotate according to EXIF orientation before it is stripped
+			return sharp(data[0])
+				.rotate()
+				.resize(chatThumbnailSizePixels, chatThumbnailSizePixels, {fit: 'inside', withoutEnlargement: true})
+				.jpeg()
+				.toBuffer();
+		})
+		.then(thumbnail => {
+			return bucket.file(thumbnailPath).save(thumbnail, {contentType: 'image/jpeg'});
+		})
+		.then(() => {
+			return thumbnailPath;
+		});
+}
+
+// Update all chatroom messages, that reference the attachment
+function getUpdateAttachmentMessagesPromise(chatroomUid, attachmentPath, updatedMessage) {
+	return firestore
+		.collection('chatrooms')
+		.doc(chatroomUid)
+		.collection('messages')
+		.where('attachment_path', '==', attachmentPath)
+		.get()
+		.then(snapshot => {
+			let updatePromiseArray = [];
+
+			snapshot.forEach(doc => {
+				updatePromiseArray.push(doc.ref.update(updatedMessage));
+			});
+
+			return Promise.all(updatePromiseArray);
+		});
+}
+
+// Delete attachment and its thumbnail (if exists)
+function getDeleteChatAttachmentPromise(attachmentPath) {
+	return Promise.all([
+			getDeleteFileIfExistsPromise(attachmentPath),
+			getDeleteFileIfExistsPromise(getChatThumbnailPath(attachmentPath))
+		]);
+}
+
+// Delete all chat attachments and thumbnails of the chatroom
+function getDeleteChatroomAttachmentsPromise(chatroomUid) {
+	return bucket.deleteFiles({prefix: `chatrooms/${chatroomUid}/`});
+}
+
+// Delete file from Storage. File, that does not exist, is not an error.
+function getDeleteFileIfExistsPromise(filePath) {
+	return bucket.file(filePath)
+		.delete()
+		.catch(err => {
+			if (err.code !== 404) {
+				throw err;
+			}
+
+			return null;
+		});
+}
+
+// -------------------------
+
+// --- Blocked users ---
+
+// Blocked users of the user are stored in userBlockedUsers/{userUid}/blockedUsersOfUser/{blockedUserUid}
+function getBlockedUserRef(userUid, blockedUserUid) {
+	return firestore.collection('userBlockedUsers').doc(userUid).collection('blockedUsersOfUser').doc(blockedUserUid);
+}
+
+// Chatrooms with blocked users are moved to userChatrooms/{userUid}/hiddenChatroomsOfUser
+function getHiddenUserChatroomRef(userUid, chatroomUid) {
+	return firestore.collection('userChatrooms').doc(userUid).collection('hiddenChatroomsOfUser').doc(chatroomUid);
+}
+
+function getIsUserBlockedPromise(userUid, blockedUserUid) {
+	return getBlockedUserRef(userUid, blockedUserUid)
+		.get()
+		.then(doc => {
+			return doc.exists;
+		});
+}
+
+// Get uids of the users (among provided ones), who have blocked the sender
+function getBlockedByUidsPromise(senderUid, userUids) {
+	if (userUids.length === 0) {
+		return Promise.resolve([]);
+	}
+
+	const blockedUserRefs = userUids.map(userUid => getBlockedUserRef(userUid, senderUid));
+
+	return firestore.getAll(...blockedUserRefs)
+		.then(docs => {
+			return userUids.filter((userUid, index) => docs[index].exists);
+		});
+}
+
+// Move chatroom of user into hidden chatrooms.
+// Note that this triggers onChatroomOfUserDelete(), but messages are not deleted,
+// because the second user exists.
+function getHideChatroomPromise(userUid, chatroomUid) {
+	return getMoveDocumentPromise(getUserChatroomRef(userUid, chatroomUid), getHiddenUserChatroomRef(userUid, chatroomUid));
+}
+
+// Move hidden chatroom back into chatrooms of user
+// and update it with the messages received while the chatroom was hidden.
+function getRestoreChatroomPromise(userUid, chatroomUid) {
+	return getMoveDocumentPromise(getHiddenUserChatroomRef(userUid, chatroomUid), getUserChatroomRef(userUid, chatroomUid))
+		.then(isMoved => {
+			return isMoved ? getRecalculateUserChatroomPromise(chatroomUid, userUid, false) : null;
+		});
+}
+
+// Move document inside transaction. Returns true, if the document existed and has been moved.
+function getMoveDocumentPromise(fromRef, toRef) {
+	return firestore.runTransaction(transaction => {
+		return transaction.get(fromRef)
+			.then(doc => {
+				if (!doc.exists) {
+					return false;
+				}
+
+				transaction.set(toRef, doc.data());
+				transaction.delete(fromRef);
+
+				return true;
+			})
+	});
+}
+
+// -------------------------
+
+// --- Group chatrooms ---
+
+// Group chatroom document is stored in chatrooms/{chatroomUid} (next to messages collection)
+// and contains participant list.
+// Group chat messages have no receiver_uid, and unread_by is set for them
+// to the uids of all participants except the sender.
+
+// Get unique participant uids including the owner.
+// Throws HttpsError, if uids are invalid or the number of participants is out of range.
+function getGroupChatroomParticipantUids(ownerUid, uids) {
+	let participantUids = [ownerUid];
+
+	uids.forEach(uid => {
+		if (typeof uid !== 'string' || uid === "") {
+			throw new functions.https.HttpsError('invalid-argument', 'Participant uids must be non-empty strings.');
+		}
+
+		if (participantUids.indexOf(uid) < 0) {
+			participantUids.push(uid);
+		}
+	});
+
+	// Group chatroom is needed for more than two participants only
+	if (participantUids.length < 3 || participantUids.length > maxGroupChatroomParticipantCount) {
+		throw new functions.https.HttpsError('invalid-argument', `Group chatroom must have from 3 to ${maxGroupChatroomParticipantCount} participants.`);
+	}
+
+	return participantUids;
+}
+
+function getUpdatedGroupChatroom(groupChatroom) {
+	// These properties are updated anyway
+	return {
+		isGroup: true,
+		chatroomName: `${groupChatroom.name}`,
+		chatroomPicUrl: `${groupChatroom.picUrl}`
+	};
+}
+
+// Update sender and receiver chatrooms and notify the receiver about new chat message.
+// Notification is sent only once, even if the event is retried.
+function getProcessDirectChatMessagePromise(messageRef, message, processedEvent) {
+	// Get sender uid, receiver uid and message text from the chat message
+	const senderUid = message.sender_uid;
+	const receiverUid = message.receiver_uid;
+	const messageText = getMessagePreviewText(message);
+	const messageTimestamp = message.timestamp;
+	const messageTimestampMillis = messageTimestamp.toMillis();
+
+	let senderName;
+	let senderUserPicUrl;
+
+	// Get sender user
+	// (in return statement, because this method must return promise)
+	return firestore
+		.collection('users')
+		.doc(senderUid)
+		.get()
+		.then(doc => {
+			// Get sender user from the document
+			const sender = doc.data();
+
+			// Init sender name with username or name (sender pending deletion is shown as deleted user)
+			senderName = getDisplayedUserName(sender);
+
+			// Get sender user pic URL
+			senderUserPicUrl = getDisplayedUserPicUrl(sender);
+
+			// Get receiver user and check if the receiver has blocked the sender
+			// (in return statement, because this method must return promise)
+			return Promise.all([firestore.collection('users').doc(receiverUid).get(), getIsUserBlockedPromise(receiverUid, senderUid)]);
+		})
+		.then(results => {
+			// Get receiver user from the document
+			const receiver = results[0].data();
+			const isSenderBlocked = results[1];
+
+			// Init receiver name with username or name (receiver pending deletion is shown as deleted user)
+			const receiverName = getDisplayedUserName(receiver);
+
+			// Get receiver user pic URL
+			const receiverUserPicUrl = getDisplayedUserPicUrl(receiver);
+
+			// Chatrooms are updated inside transactions
+			// to prevent corrupting data by parallel function execution.
+			const updateSenderChatroomPromise = getUpdateSenderChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText);
+
+			if (isSenderBlocked) {
+				// Blocked sender still sees his message, but the receiver gets nothing.
+				// Message is marked sent while blocked, so that it is not counted in unread messages
+				// of the receiver, when the sender is unblocked.
+				return Promise.all([updateSenderChatroomPromise, messageRef.update({is_sent_while_blocked: true})]);
+			}
+
+			// Create promise to send FCM message to all devices of the receiver
+			// (notification is skipped, if the chatroom is muted,
+			// and deferred, if the receiver is in quiet hours now).
+			const chatroomUid = getChatroomUid(senderUid, receiverUid);
+			const payload = getChatMessagePayload(chatroomUid, senderUid, senderName, senderUserPicUrl, messageText, messageTimestampMillis);
+			const sendNotificationPromise = getRunEventStepOncePromise(processedEvent, 'notification', () => getSendNotificationPromise(chatroomUid, receiverUid, receiver, payload));
+
+			const updateReceiverChatroomPromise = getUpdateReceiverChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText);
+
+			// Send notification and update sender and receiver chatrooms
+			return Promise.all([sendNotificationPromise, updateSenderChatroomPromise, updateReceiverChatroomPromise]);
+		});
+}
+
+// Update chatrooms of all group participants and send notification to everybody except the sender
+// (only once to every participant, even if the event is retried)
+function getProcessGroupChatMessagePromise(messageRef, chatroomUid, message, processedEvent) {
+	const senderUid = message.sender_uid;
+	const messageText = getMessagePreviewText(message);
+	const messageTimestamp = message.timestamp;
+
+	let groupChatroom;
+
+	return firestore
+		.collection('chatrooms')
+		.doc(chatroomUid)
+		.get()
+		.then(doc => {
+			groupChatroom = doc.data();
+
+			if (groupChatroom === undefined || groupChatroom.isGroup !== true || groupChatroom.participantUids.indexOf(senderUid) < 0) {
+				// Only participants can post messages into group chatroom
+				console.log('Group chat message from non-participant ignored:', chatroomUid, senderUid);
+				return null;
+			}
+
+			const receiverUids = groupChatroom.participantUids.filter(uid => uid !== senderUid);
+			const participantRefs = groupChatroom.participantUids.map(uid => firestore.collection('users').doc(uid));
+
+			// Message is unread by all receivers.
+			// This must be saved before chatrooms are updated, because unread count is calculated from it.
+			return Promise.all([messageRef.update({unread_by: receiverUids}), firestore.getAll(...participantRefs), getBlockedByUidsPromise(senderUid, receiverUids)]);
+		})
+		.then(results => {
+			if (results === null) {
+				return null;
+			}
+
+			const participantDocs = results[1];
+			const blockedByUids = results[2];
+
+			const senderDoc = participantDocs.find(doc => doc.id === senderUid);
+			const sender = senderDoc.exists ? senderDoc.data() : {};
+			const senderName = getDisplayedUserName(sender);
+			const senderUserPicUrl = getDisplayedUserPicUrl(sender);
+
+			let payload = getChatMessagePayload(chatroomUid, senderUid, senderName, senderUserPicUrl, messageText, messageTimestamp.toMillis());
+			payload.data["isGroup"] = 'true';
+			payload.data["chatroomName"] = `${groupChatroom.name}`;
+
+			let promiseArray = [];
+
+			participantDocs.forEach(doc => {
+				if (!doc.exists || blockedByUids.indexOf(doc.id) >= 0) {
+					// Deleted users are removed from the group, when their chatrooms are deleted.
+					// Participants, who have blocked the sender, get nothing.
+					return;
+				}
+
+				promiseArray.push(getUpdateParticipantChatroomOnCreatePromise(chatroomUid, groupChatroom, doc.id, senderUid, senderName, messageTimestamp, messageText));
+
+				if (doc.id !== senderUid) {
+					promiseArray.push(getRunEventStepOncePromise(processedEvent, `notification_${doc.id}`, () => getSendNotificationPromise(chatroomUid, doc.id, doc.data(), payload)));
+				}
+			});
+
+			return Promise.all(promiseArray);
+		});
+}
+
+// Update chatroom of the group participant with the last message
+// and (for everybody except the sender) with the number of unread messages.
+function getUpdateParticipantChatroomOnCreatePromise(chatroomUid, groupChatroom, participantUid, senderUid, senderName, messageTimestamp, messageText) {
+	const participantChatroomRef = getUserChatroomRef(participantUid, chatroomUid);
+	const isSender = participantUid === senderUid;
+
+	let updatedParticipantChatroom = getUpdatedGroupChatroom(groupChatroom);
+
+	return firestore.runTransaction(transaction => {
+			let participantChatroom;
+
+			return transaction.get(participantChatroomRef)
+				.then(doc => {
+					participantChatroom = doc.data();
+
+					// Sender has read his own message, so his unread count is not changed
+					return isSender ? null : getParticipantChatroomUnreadMessagesPromise(chatroomUid, participantUid);
+				})
+				.then(snapshot => {
+					if (snapshot !== null) {
+						updatedParticipantChatroom["newMessageCount"] = getUnreadMessageCount(snapshot);
+					}
+
+					const currentLastMessageTimestamp = participantChatroom !== undefined ? participantChatroom.lastMessageTimestamp : undefined;
+
+					// Last message should be updated only if this message is newer
+					if (currentLastMessageTimestamp === undefined || messageTimestamp.toMillis() > currentLastMessageTimestamp.toMillis()) {
+						updatedParticipantChatroom = updateChatroomLastMessage(updatedParticipantChatroom, messageText, messageTimestamp);
+						updatedParticipantChatroom["lastMessageSenderName"] = `${senderName}`;
+					}
+
+					return transaction.set(participantChatroomRef, updatedParticipantChatroom, {merge: true});
+				})
+		})
+		.then(result => {
+			return null;
+		})
+		.catch(err => {
+			return getTrackFailurePromise('updateParticipantChatroomOnCreate', [chatroomUid, groupChatroom, participantUid, senderUid, senderName, messageTimestamp, messageText], participantUid, err);
+		});
+}
+
+// Remove the user from group chatroom participants.
+// Group chatroom document is deleted, when the last participant leaves.
+// Returns the number of remaining participants.
+function getLeaveGroupChatroomPromise(chatroomUid, userUid) {
+	const groupChatroomRef = firestore.collection('chatrooms').doc(chatroomUid);
+
+	return firestore.runTransaction(transaction => {
+		return transaction.get(groupChatroomRef)
+			.then(doc => {
+				if (!doc.exists) {
+					// Group chatroom has already been deleted
+					return 0;
+				}
+
+				const remainingParticipantUids = doc.data().participantUids.filter(uid => uid !== userUid);
+
+				if (remainingParticipantUids.length === 0) {
+					transaction.delete(groupChatroomRef);
+
+				} else {
+					transaction.update(groupChatroomRef, {participantUids: remainingParticipantUids});
+				}
+
+				return remainingParticipantUids.length;
+			})
+	});
+}
+
+// -------------------------
+
+// --- Chatroom fan-out ---
+
+// Start new chatroom fan-out job (this replaces the job in progress, if any)
+function getStartChatroomFanOutPromise(userUid, userName, userPicUrl, isUserPendingDeletion) {
+	const nowTimestamp = admin.firestore.Timestamp.now();
+
+	return firestore.collection('chatroomFanOuts').doc(userUid).set({
+		status: 'inProgress',
+		runId: firestore.collection('chatroomFanOuts').doc().id,
+		sequence: 0,
+		userName: userName,
+		userPicUrl: userPicUrl,
+		isUserPendingDeletion: isUserPendingDeletion,
+		cursor: null,
+		checkedCount: 0,
+		updatedCount: 0,
+		startedAt: nowTimestamp,
+		updatedAt: nowTimestamp
+	});
+}
+
+// Update next page of chatrooms of other users and save job progress.
+// Continues with the next page, until all chatrooms are processed, the deadline is reached
+// or the job is restarted.
+function getChatroomFanOutPagePromise(jobRef, userUid, job, deadlineMillis) {
+	let query = firestore
+		.collection('userChatrooms')
+		.doc(userUid)
+		.collection('chatroomsOfUser')
+		.orderBy(FieldPath.documentId())
+		.limit(chatroomFanOutPageSize);
+
+	if (job.cursor !== null) {
+		// Cursor is the uid of the last processed chatroom
+		query = query.startAfter(job.cursor);
+	}
+
+	let pageDocs;
+
+	return query.get()
+		.then(snapshot => {
+			pageDocs = snapshot.docs;
+			return getUpdateSecondUserChatroomsPromise(pageDocs, job.userName, job.userPicUrl, job.isUserPendingDeletion === true);
+		})
+		.then(updatedCount => {
+			job.checkedCount += pageDocs.length;
+			job.updatedCount += updatedCount;
+			job.updatedAt = admin.firestore.Timestamp.now();
+
+			if (pageDocs.length < chatroomFanOutPageSize) {
+				job.status = 'finished';
+				job.cursor = null;
+				job.finishedAt = job.updatedAt;
+
+			} else {
+				job.cursor = pageDocs[pageDocs.length - 1].id;
+
+				if (Date.now() > deadlineMillis) {
+					// Out of time, hand the job over to the next invocation
+					job.sequence++;
+				}
+			}
+
+			return getSaveChatroomFanOutProgressPromise(jobRef, job);
+		})
+		.then(savedJob => {
+			if (savedJob === null || savedJob.status !== 'inProgress' || Date.now() > deadlineMillis) {
+				return null;
+			}
+
+			return getChatroomFanOutPagePromise(jobRef, userUid, job, deadlineMillis);
+		});
+}
+
+// Save job progress, unless the job has been restarted with new values.
+// Returns saved job or null, if this run should stop.
+function getSaveChatroomFanOutProgressPromise(jobRef, job) {
+	return firestore.runTransaction(transaction => {
+		return transaction.get(jobRef)
+			.then(doc => {
+				const currentJob = doc.data();
+
+				if (currentJob === undefined || currentJob.runId !== job.runId) {
+					return null;
+				}
+
+				transaction.set(jobRef, job);
+				return job;
+			});
+	});
+}
+
+// Update user's name, pic and pending deletion mark in chatrooms of second users (in one batch).
+// Group chatrooms, chatrooms deleted by second users and chatrooms with current values are skipped.
+// Returns the number of updated chatrooms.
+function getUpdateSecondUserChatroomsPromise(userChatroomDocs, userName, userPicUrl, isUserPendingDeletion) {
+	const secondUserChatroomRefs = userChatroomDocs
+		.filter(doc => doc.data().isGroup !== true)
+		.map(doc => getUserChatroomRef(doc.data().secondUserUid, doc.id));
+
+	if (secondUserChatroomRefs.length === 0) {
+		return Promise.resolve(0);
+	}
+
+	let updatedCount = 0;
+
+	return firestore.getAll(...secondUserChatroomRefs)
+		.then(docs => {
+			let batch = firestore.batch();
+
+			docs.forEach(doc => {
+				const chatroom = doc.data();
+
+				if (chatroom !== undefined && (chatroom.secondUserName !== userName || chatroom.secondUserPicUrl !== userPicUrl
+						|| (chatroom.isSecondUserPendingDeletion === true) !== isUserPendingDeletion)) {
+					batch.update(doc.ref, {
+						secondUserName: userName,
+						secondUserPicUrl: userPicUrl,
+						isSecondUserPendingDeletion: isUserPendingDeletion
+					});
+					updatedCount++;
+				}
+			});
+
+			return updatedCount > 0 ? batch.commit() : null;
+		})
+		.then(() => {
+			return updatedCount;
+		});
+}
+
+// -------------------------
+
+// Displayed name follows getDisplayedUserName() rules
+function isUserProfileChanged(oldUser, newUser) {
+	return getDisplayedUserName(oldUser) !== getDisplayedUserName(newUser)
+		|| getUserPicUrl(oldUser) !== getUserPicUrl(newUser)
+		|| (oldUser.isPendingDeletion === true) !== (newUser.isPendingDeletion === true);
+}
+
+function getUserPicUrl(user) {
+	return user.userPicUrl !== undefined ? user.userPicUrl : "";
+}
+
+// Update author name, pic and pending deletion mark in reviews written by the user, page by page.
+// Reviews are found with collection group query, which needs single field index on authorUid
+// with collection group scope (see firestore.indexes.json).
+function getUpdateReviewsAuthorPromise(authorUid, authorName, authorUserPicUrl, isAuthorPendingDeletion, cursor) {
+	let query = firestore
+		.collectionGroup('reviewsOfOffer')
+		.where('authorUid', '==', authorUid)
+		.orderBy(FieldPath.documentId())
+		.limit(deleteCollectionBatchSize);
+
+	if (cursor !== null) {
+		// Cursor is the full path of the last processed review
+		query = query.startAfter(cursor);
+	}
+
+	let reviewDocs;
+
+	return query.get()
+		.then(snapshot => {
+			reviewDocs = snapshot.docs;
+
+			let batch = firestore.batch();
+			let updateCount = 0;
+
+			reviewDocs.forEach(doc => {
+				const review = doc.data();
+
+				if (review.authorName !== authorName || review.authorUserPicUrl !== authorUserPicUrl
+						|| (review.isAuthorPendingDeletion === true) !== isAuthorPendingDeletion) {
+					batch.update(doc.ref, {
+						authorName: authorName,
+						authorUserPicUrl: authorUserPicUrl,
+						isAuthorPendingDeletion: isAuthorPendingDeletion
+					});
+					updateCount++;
+				}
+			});
+
+			return updateCount > 0 ? batch.commit() : null;
+		})
+		.then(() => {
+			if (reviewDocs.length < deleteCollectionBatchSize) {
+				return null;
+			}
+
+			return getUpdateReviewsAuthorPromise(authorUid, authorName, authorUserPicUrl, isAuthorPendingDeletion, reviewDocs[reviewDocs.length - 1].ref.path);
+		});
+}
+
+function getRecalculateRatingPromise(providerUserUid, offerUid, offerReviewsDocumentUid) {
+  	let providerUser;
+
+  	const providerUserRef = firestore.collection('users').doc(providerUserUid);
+
+  	// Update provider user offer rating list in transaction
+  	// (this is needed, because several reviews on the same offer 
+  	// can be posted at the same time)
+    return firestore.runTransaction(transaction => {
+	    return transaction.get(providerUserRef)
+			.then(doc => {
+				// Get provider user
+ 	   	        providerUser = doc.data();
+
+ 	   	        if (providerUser === undefined) {
+ 	   	        	// Provider has been deleted, there is no rating to update
+ 	   	        	return null;
+ 	   	        }
+
+	            // Get offer reviews
+ 	   	        return getOfferReviewsPromise(offerReviewsDocumentUid);
+	    	})
+	    	.then(snapshot => {
+	    		if (snapshot === null) {
+	    			return null;
+	    		}
+
+	    		// Calculate new offer rating based on all reviews of this offer
+	            const offerRatings = recalculateOfferRatings(snapshot, providerUser, offerUid);
+
+	            // Update only offer rating array and rating summary in provider user
+				const updatedProviderUser = getUpdatedProviderUser(offerRatings);
+
+				return transaction.update(providerUserRef, updatedProviderUser);
+	    	})
+	})
+	.then(result => {
+		return null;
+	})
+	.catch(err => {
+		return getTrackFailurePromise('recalculateRating', [providerUserUid, offerUid, offerReviewsDocumentUid], providerUserUid, err);
+	});
+}
+
+// Offer reviews are stored in reviews/{providerUserUid}_{offerUid}/reviewsOfOffer
+function getOfferReviewsDocumentUid(providerUserUid, offerUid) {
+	return `${providerUserUid}_${offerUid}`;
+}
+
+// User uids never contain '_', so the document uid is split on the first one
+function parseOfferReviewsDocumentUid(offerReviewsDocumentUid) {
+	const separatorIndex = offerReviewsDocumentUid.indexOf('_');
+
+	return {
+		providerUserUid: offerReviewsDocumentUid.substring(0, separatorIndex),
+		offerUid: offerReviewsDocumentUid.substring(separatorIndex + 1)
+	};
+}
+
+function getOfferReviewRef(offerReviewsDocumentUid, reviewUid) {
+	return firestore.collection('reviews').doc(offerReviewsDocumentUid).collection('reviewsOfOffer').doc(reviewUid);
+}
+
+// Hidden and ineligible reviews are not counted in offer rating and are never shown as the latest review
+function isReviewCounted(review) {
+	return review !== undefined && review.isHidden !== true && review.isIneligible !== true;
+}
+
+function getCountedReview(review) {
+	return isReviewCounted(review) ? review : undefined;
+}
+
+// Review is eligible only if:
+// - review author (authorUid) is known and is not the provider,
+// - the author and the provider have chatroom with messages from both of them before the review,
+// - the author has no earlier eligible review on this offer.
+// Ineligible review is flagged with isIneligible and ineligibleReason.
+// Author uid, that has been derived from the userpic (see getReviewAuthorUidPromise()), is saved in the review.
+// Returns true, if the review is eligible.
+// Note that reviews created before eligibility check was introduced are not flagged and stay counted.
+function getCheckReviewEligibilityPromise(offerReviewsDocumentUid, reviewDoc) {
+	const providerUserUid = parseOfferReviewsDocumentUid(offerReviewsDocumentUid).providerUserUid;
+	const review = reviewDoc.data();
+
+	let authorUid;
+	let ineligibleReason = null;
+
+	return getReviewAuthorUidPromise(review)
+		.then(uid => {
+			authorUid = uid;
+
+			if (authorUid === null) {
+				return 'unknown-author';
+			}
+
+			if (authorUid === providerUserUid) {
+				return 'self-review';
+			}
+
+			return getReviewIneligibleReasonPromise(offerReviewsDocumentUid, reviewDoc.id, providerUserUid, authorUid, review.timestamp);
+		})
+		.then(reason => {
+			ineligibleReason = reason;
+
+			let updatedReview = {};
+
+			if (authorUid !== null && review.authorUid !== authorUid) {
+				updatedReview["authorUid"] = authorUid;
+			}
+
+			if (ineligibleReason !== null) {
+				console.log('Ineligible review flagged:', offerReviewsDocumentUid, reviewDoc.id, ineligibleReason);
+
+				updatedReview["isIneligible"] = true;
+				updatedReview["ineligibleReason"] = ineligibleReason;
+			}
+
+			return Object.keys(updatedReview).length > 0 ? reviewDoc.ref.update(updatedReview) : null;
+		})
+		.then(() => {
+			return ineligibleReason === null;
+		})
+		.catch(err => {
+			if (err.code === notFoundErrorCode) {
+				// Review has already been deleted
+				return false;
+			}
+
+			throw err;
+		});
+}
+
+// Get uid of the review author or null, if it is not known.
+// Reviews written by old app versions have no authorUid, so it is derived from authorUserPicUrl,
+// but only if this is the current userpic of the user (authors without userpic stay unknown).
+function getReviewAuthorUidPromise(review) {
+	if (typeof review.authorUid === 'string' && review.authorUid !== "") {
+		return Promise.resolve(review.authorUid);
+	}
+
+	const match = typeof review.authorUserPicUrl === 'string' ? userPicUrlAuthorUidRegex.exec(review.authorUserPicUrl) : null;
+
+	if (match === null) {
+		return Promise.resolve(null);
+	}
+
+	const userUid = match[1];
+
+	return firestore
+		.collection('users')
+		.doc(userUid)
+		.get()
+		.then(doc => {
+			return (doc.exists && doc.data().userPicUrl === review.authorUserPicUrl) ? userUid : null;
+		});
+}
+
+// Returns null, if the author is eligible, or the reason otherwise.
+// Messages are queried by sender and timestamp, which needs composite index on messages:
+// sender_uid ascending, timestamp ascending (see firestore.indexes.json).
+function getReviewIneligibleReasonPromise(offerReviewsDocumentUid, reviewUid, providerUserUid, authorUid, reviewTimestamp) {
+	const authorReviewsPromise = firestore
+		.collection('reviews')
+		.doc(offerReviewsDocumentUid)
+		.collection('reviewsOfOffer')
+		.where('authorUid', '==', authorUid)
+		.get();
+
+	const chatroomMessagesRef = firestore
+		.collection('chatrooms')
+		.doc(getChatroomUid(authorUid, providerUserUid))
+		.collection('messages');
+
+	// Any message of the sender before the review is enough
+	const getEarlierMessagePromise = senderUid => {
+		return chatroomMessagesRef
+			.where('sender_uid', '==', senderUid)
+			.where('timestamp', '<', reviewTimestamp)
+			.limit(1)
+			.get();
+	};
+
+	return Promise.all([authorReviewsPromise, getEarlierMessagePromise(authorUid), getEarlierMessagePromise(providerUserUid)])
+		.then(snapshots => {
+			// Ineligible reviews and reviews written after this one are not counted as duplicates
+			const earlierAuthorReviewDocs = snapshots[0].docs.filter(doc => {
+				const otherReview = doc.data();
+
+				return doc.id !== reviewUid
+					&& otherReview.isIneligible !== true
+					&& otherReview.timestamp !== undefined
+					&& otherReview.timestamp.toMillis() < reviewTimestamp.toMillis();
+			});
+
+			if (earlierAuthorReviewDocs.length > 0) {
+				return 'duplicate-review';
+			}
+
+			return (!snapshots[1].empty && !snapshots[2].empty) ? null : 'no-conversation';
+		});
+}
+
+// Review is marked with isAuthorDeleted, when it is anonymized after its author is deleted.
+// Returns true, if this write is the marking write, that doesn't change anything counted in the rating.
+function isDeletedAuthorMarkingWrite(oldReview, newReview) {
+	return oldReview !== undefined && newReview !== undefined
+		&& oldReview.isAuthorDeleted !== true && newReview.isAuthorDeleted === true
+		&& oldReview.rating === newReview.rating
+		&& isReviewCounted(oldReview) === isReviewCounted(newReview);
+}
+
+// Delete or anonymize (depending on getDeletedUserReviewsAction()) all reviews written by the user, page by page.
+// Reviews are found with collection group query, which needs single field index on authorUid
+// with collection group scope (see firestore.indexes.json). Deleted reviews are removed from offer ratings by onReviewWrite() one by one.
+// Anonymized reviews are marked with isAuthorDeleted, so that onReviewWrite() ignores the marking write,
+// and ratings of affected offers (collected in offerReviewsDocumentUids) are recalculated once after all pages
+// to update the latest reviews.
+// Processed reviews no longer match the query (they are either deleted or have no author uid),
+// so the first page is queried every time.
+function getCleanUpWrittenReviewsPromise(authorUid, offerReviewsDocumentUids) {
+	const deletedUserReviewsAction = getDeletedUserReviewsAction();
+	const query = firestore
+		.collectionGroup('reviewsOfOffer')
+		.where('authorUid', '==', authorUid)
+		.limit(deleteCollectionBatchSize);
+
+	let reviewDocs;
+
+	return query.get()
+		.then(snapshot => {
+			reviewDocs = snapshot.docs;
+
+			if (reviewDocs.length === 0) {
+				return null;
+			}
+
+			let batch = firestore.batch();
+
+			reviewDocs.forEach(doc => {
+				const offerReviewsDocumentUid = doc.ref.parent.parent.id;
+
+				if (deletedUserReviewsAction === 'delete') {
+					batch.delete(doc.ref);
+
+				} else {
+					if (offerReviewsDocumentUids.indexOf(offerReviewsDocumentUid) < 0) {
+						offerReviewsDocumentUids.push(offerReviewsDocumentUid);
+					}
+
+					batch.update(doc.ref, {
+						isAuthorDeleted: true,
+						authorUid: FieldValue.delete(),
+						authorName: deletedUserName,
+						authorUserPicUrl: FieldValue.delete()
+					});
+				}
+			});
+
+			return batch.commit();
+		})
+		.then(() => {
+			if (reviewDocs.length === deleteCollectionBatchSize) {
+				return getCleanUpWrittenReviewsPromise(authorUid, offerReviewsDocumentUids);
+			}
+
+			return Promise.all(offerReviewsDocumentUids.map(offerReviewsDocumentUid => {
+				const parsedUid = parseOfferReviewsDocumentUid(offerReviewsDocumentUid);
+				return getRecalculateRatingPromise(parsedUid.providerUserUid, parsedUid.offerUid, offerReviewsDocumentUid);
+			}));
+		});
+}
+
+// Get action for reviews of the deleted user from functions config
+function getDeletedUserReviewsAction() {
+	const accountConfig = functions.config().account !== undefined ? functions.config().account : {};
+
+	return deletedUserReviewsActions.indexOf(accountConfig.deleted_user_reviews_action) >= 0
+		? accountConfig.deleted_user_reviews_action
+		: defaultDeletedUserReviewsAction;
+}
+
+// Save provider reply in the review, if the review has no reply yet
+function getReplyToReviewPromise(reviewRef, replyText) {
+	return firestore.runTransaction(transaction => {
+			return transaction.get(reviewRef)
+				.then(doc => {
+					if (!doc.exists) {
+						throw new functions.https.HttpsError('not-found', 'Review not found.');
+					}
+
+					if (doc.data().replyText !== undefined) {
+						throw new functions.https.HttpsError('already-exists', 'The review already has a reply.');
+					}
+
+					return transaction.update(reviewRef, {
+						replyText: replyText,
+						replyTimestamp: FieldValue.serverTimestamp()
+					});
+				})
+		})
+		.then(result => {
+			return null;
+		});
+}
+
+// Set status of all reports of the review
+function getUpdateReviewReportsStatusPromise(offerReviewsDocumentUid, reviewUid, status) {
+	return firestore
+		.collection('reviewReports')
+		.where('offerReviewsDocumentUid', '==', offerReviewsDocumentUid)
+		.where('reviewUid', '==', reviewUid)
+		.get()
+		.then(snapshot => {
+			let batch = firestore.batch();
+
+			snapshot.forEach(doc => {
+				batch.update(doc.ref, {status: status});
+			});
+
+			return batch.commit();
+		})
+		.then(result => {
+			return null;
+		});
+}
+
+// Apply review change to the offer rating of the provider user.
+// Offer ratings, that have been calculated before running rating sum was introduced,
+// are recalculated from all offer reviews instead.
+function getUpdateOfferRatingOnReviewWritePromise(offerReviewsDocumentUid, reviewUid, oldReview, newReview) {
+	const parsedUid = parseOfferReviewsDocumentUid(offerReviewsDocumentUid);
+	const providerUserUid = parsedUid.providerUserUid;
+	const offerUid = parsedUid.offerUid;
+	const providerUserRef = firestore.collection('users').doc(providerUserUid);
+
+	let isFullRecalculationNeeded = false;
+
+  	// Update provider user offer rating list in transaction
+  	// (this is needed, because several reviews on the same offer 
+  	// can be posted at the same time)
+	return firestore.runTransaction(transaction => {
+			let offerRatings;
+			let offerRating;
+			let isUpdateNeeded = false;
+
+		    return transaction.get(providerUserRef)
+				.then(doc => {
+					if (!doc.exists) {
+						// Provider user has been deleted, nothing to update
+						return null;
+					}
+
+					const providerUser = doc.data();
+
+					offerRatings = providerUser.offerRatingList !== undefined ? providerUser.offerRatingList : [];
+
+				  	// Find index of current offer's rating
+				  	const index = offerRatings.findIndex( item => item.offer_uid === offerUid );
+				  	offerRating = index >= 0 ? offerRatings[index] : undefined;
+
+				  	if (offerRating !== undefined && (offerRating.offer_rating_sum === undefined || offerRating.offer_rating_distribution === undefined)) {
+				  		isFullRecalculationNeeded = true;
+				  		return null;
+				  	}
+
+				  	if (offerRating === undefined) {
+				  		if (newReview === undefined || !isOfferOfUser(providerUser, offerUid)) {
+				  			// Nothing to remove the review from, or the offer has been deleted
+				  			return null;
+				  		}
+
+				  		// This is the first review on the offer
+				  		offerRating = {
+				  			offer_uid: offerUid,
+				  			offer_rating_sum: 0,
+				  			offer_review_count: 0,
+				  			offer_rating_distribution: getEmptyRatingDistribution()
+				  		};
+				  		offerRatings.push(offerRating);
+				  	}
+
+				  	isUpdateNeeded = true;
+
+				  	if (oldReview !== undefined) {
+				  		offerRating.offer_rating_sum -= oldReview.rating;
+				  		offerRating.offer_review_count -= 1;
+				  		changeRatingDistribution(offerRating.offer_rating_distribution, oldReview.rating, -1);
+				  	}
+
+				  	if (newReview !== undefined) {
+				  		offerRating.offer_rating_sum += newReview.rating;
+				  		offerRating.offer_review_count += 1;
+				  		changeRatingDistribution(offerRating.offer_rating_distribution, newReview.rating, 1);
+				  	}
+
+				  	if (offerRating.offer_review_count <= 0) {
+				  		// No reviews left, remove current offer's rating
+				  		offerRatings.splice(offerRatings.indexOf(offerRating), 1);
+				  		return null;
+				  	}
+
+				  	offerRating.offer_rating = offerRating.offer_rating_sum / offerRating.offer_review_count;
+
+				  	if (newReview !== undefined && isLatestOfferReview(offerRating, reviewUid, newReview)) {
+				  		// Created or updated review is the latest one
+				  		setOfferRatingLastReview(offerRating, reviewUid, newReview);
+				  		return null;
+
+				  	} else if (newReview === undefined && wasLatestOfferReview(offerRating, reviewUid, oldReview)) {
+				  		// The latest review has been deleted (or hidden), so find the one, that is the latest now
+				  		return getOfferReviewsPromise(offerReviewsDocumentUid);
+
+				  	} else {
+				  		return null;
+				  	}
+		    	})
+		    	.then(snapshot => {
+		    		if (!isUpdateNeeded) {
+		    			return null;
+		    		}
+
+		    		if (snapshot !== null) {
+		    			// Reviews are ordered by timestamp descending
+		    			const latestReviewDoc = snapshot.docs.find(doc => isReviewCounted(doc.data()));
+
+		    			if (latestReviewDoc !== undefined) {
+		    				setOfferRatingLastReview(offerRating, latestReviewDoc.id, latestReviewDoc.data());
+		    			}
+		    		}
+
+		            // Update only offer rating array and rating summary in provider user
+		            return transaction.update(providerUserRef, getUpdatedProviderUser(offerRatings));
+		    	})
+		})
+		.then(result => {
+			return isFullRecalculationNeeded ? getRecalculateRatingPromise(providerUserUid, offerUid, offerReviewsDocumentUid) : null;
+		});
+}
+
+function isLatestOfferReview(offerRating, reviewUid, review) {
+	const lastReviewTimestamp = offerRating.offer_last_review_timestamp;
+
+	return offerRating.offer_last_review_uid === reviewUid
+		|| lastReviewTimestamp === undefined
+		|| review.timestamp.toMillis() >= lastReviewTimestamp.toMillis();
+}
+
+// Offer ratings calculated by old code have no last review uid, so timestamps are compared
+function wasLatestOfferReview(offerRating, reviewUid, review) {
+	const lastReviewTimestamp = offerRating.offer_last_review_timestamp;
+
+	if (offerRating.offer_last_review_uid !== undefined) {
+		return offerRating.offer_last_review_uid === reviewUid;
+	}
+
+	return lastReviewTimestamp === undefined || review.timestamp.toMillis() === lastReviewTimestamp.toMillis();
+}
+
+// Offer rating distribution keeps the number of reviews for every star value ("1" to "5")
+function getEmptyRatingDistribution() {
+	return {"1": 0, "2": 0, "3": 0, "4": 0, "5": 0};
+}
+
+// Fractional ratings are counted as the nearest star value
+function changeRatingDistribution(ratingDistribution, rating, delta) {
+	const star = `${Math.min(5, Math.max(1, Math.round(rating)))}`;
+	ratingDistribution[star] = ratingDistribution[star] + delta;
+}
+
+// Provider user is updated with offer rating list and provider rating summary,
+// which is calculated over the reviews of all offers of the provider:
+// - provider_review_count: total number of reviews
+// - provider_rating: average of all reviews (so offers with more reviews weigh more)
+// - provider_rating_score: Bayesian average, that providers should be sorted by
+function getUpdatedProviderUser(offerRatings) {
+	let reviewCount = 0;
+	let ratingSum = 0;
+
+	offerRatings.forEach(offerRating => {
+		const offerRatingSum = offerRating.offer_rating_sum !== undefined
+			? offerRating.offer_rating_sum
+			: offerRating.offer_rating * offerRating.offer_review_count;
+
+		reviewCount = reviewCount + offerRating.offer_review_count;
+		ratingSum = ratingSum + offerRatingSum;
+	});
+
+	return {
+		offerRatingList: offerRatings,
+		provider_review_count: reviewCount,
+		provider_rating: reviewCount > 0 ? ratingSum / reviewCount : 0,
+		provider_rating_score: (providerRatingPriorMean * providerRatingPriorWeight + ratingSum) / (providerRatingPriorWeight + reviewCount)
+	};
+}
+
+function setOfferRatingLastReview(offerRating, reviewUid, review) {
+	offerRating.offer_last_review_uid = reviewUid;
+	offerRating.offer_last_review_author_name = review.authorName;
+	offerRating.offer_last_review_author_pic = review.authorUserPicUrl;
+	offerRating.offer_last_review_text = review.text;
+	offerRating.offer_last_review_timestamp = review.timestamp;
+}
+
+function getOfferReviewsPromise(offerReviewsDocument) {
+    return firestore
+    	.collection('reviews')
+    	.doc(offerReviewsDocument)
+    	.collection('reviewsOfOffer')
+    	.orderBy('timestamp', 'desc')
+		.get()
+}
+
+function recalculateOfferRatings(snapshot, providerUser, offerUid) {
+	let newReviewCount = 0;
+	let ratingSum = 0;
+	let averageRating = 0;
+
+  	// Get offer rating list
+  	let offerRatings = providerUser.offerRatingList;
+
+  	if (offerRatings === undefined) {
+  		// If user has no reviews yet, create new offer rating array
+  		offerRatings = [];
+  	}
+
+  	// Find index of current offer's rating
+  	const index = offerRatings.findIndex( item => item.offer_uid === offerUid );
+
+	// Hidden reviews are not counted
+	const reviewDocs = snapshot.docs.filter(doc => isReviewCounted(doc.data()));
+
+	if (reviewDocs.length === 0) {
+		// If no reviews left (all reviews have been deleted or hidden),
+		// remove current offer's rating (if exists).
+	  	if (index >= 0 && index < offerRatings.length) {
+   			offerRatings.splice(index, 1);
+	  	}
+
+	} else {
+		// Otherwise update current offer's rating.
+		newReviewCount = reviewDocs.length;
+
+		let latestReview;
+		let latestReviewUid;
+		let ratingDistribution = getEmptyRatingDistribution();
+		let i = 0;
+
+		reviewDocs.forEach(doc => {
+			const reviewItem = doc.data();
+
+			if (i === 0) {
+				latestReview = reviewItem;
+				latestReviewUid = doc.id;
+			}
+
+			ratingSum = ratingSum + reviewItem.rating;
+			changeRatingDistribution(ratingDistribution, reviewItem.rating, 1);
+
+			i++;
+		});
+
+		averageRating = ratingSum / newReviewCount;
+
+		let offerRating;
+
+	  	if (index >= 0 && index < offerRatings.length) {
+	   		// Current offer's rating exist
+	      	offerRating = offerRatings[index];
+
+	      	offerRating.offer_rating = averageRating;
+	      	offerRating.offer_rating_sum = ratingSum;
+	      	offerRating.offer_review_count = newReviewCount;
+	      	offerRating.offer_rating_distribution = ratingDistribution;
+	      	setOfferRatingLastReview(offerRating, latestReviewUid, latestReview);
+
+	  	} else {
+	  		// Otherwise (this is the first review on the current offer)
+	  		// create new rating and add it to offer rating array.
+			offerRating = {
+				offer_uid: offerUid,
+				offer_rating: averageRating,
+				offer_rating_sum: ratingSum,
+				offer_review_count: newReviewCount,
+				offer_rating_distribution: ratingDistribution
+			};
+
+			setOfferRatingLastReview(offerRating, latestReviewUid, latestReview);
+
+			offerRatings.push(offerRating);
+	  	}
+	}
+
+  	return offerRatings;
+}
+
+// --- Offer index ---
+
+// Offer index document offerIndex/{providerUserUid}_{offerUid} is built from the provider user:
+// - location (GeoPoint) of the user,
+// - offer_title, offer_description, offer_price and offer_active of the offer in offerList,
+// - offer rating from offerRatingList,
+// - name and username of the user (for keywords).
+// Inactive offers and offers of users pending deletion are not indexed.
+// Offers of users without location are indexed without location and geohash (found only by keywords).
+
+function getOfferIndexFields(user) {
+	if (user === undefined) {
+		return null;
+	}
+
+	return {
+		isPendingDeletion: user.isPendingDeletion,
+		location: user.location,
+		name: user.name,
+		username: user.username,
+		offerList: user.offerList,
+		offerRatingList: user.offerRatingList
+	};
+}
+
+function isOfferIndexChanged(oldUser, newUser) {
+	return JSON.stringify(getOfferIndexFields(oldUser)) !== JSON.stringify(getOfferIndexFields(newUser));
+}
+
+// Get offer index documents for all indexed offers of the user (keys are document uids).
+// Offers of the user without location have no location and geohash, so they are found only by keywords.
+function getOfferIndexItems(userUid, user) {
+	let offerIndexItems = {};
+
+	if (user === undefined || user.isPendingDeletion === true || user.offerList === undefined) {
+		return offerIndexItems;
+	}
+
+	const location = (user.location !== undefined && user.location !== null) ? user.location : null;
+	const geohash = location !== null ? encodeGeohash(location.latitude, location.longitude, offerIndexGeohashPrecision) : null;
+	const offerRatings = user.offerRatingList !== undefined ? user.offerRatingList : [];
+
+	user.offerList.forEach(offer => {
+		if (offer.offer_active === false) {
+			return;
+		}
+
+		const offerRating = offerRatings.find(item => item.offer_uid === offer.offer_uid);
+		const keywords = getKeywords([offer.offer_title, offer.offer_description, user.name, user.username]);
+
+		let offerIndexItem = {
+			providerUserUid: userUid,
+			offerUid: offer.offer_uid,
+			title: offer.offer_title !== undefined ? offer.offer_title : "",
+			price: offer.offer_price !== undefined ? offer.offer_price : 0,
+			rating: offerRating !== undefined ? offerRating.offer_rating : 0,
+			reviewCount: offerRating !== undefined ? offerRating.offer_review_count : 0,
+			keywords: keywords
+		};
+
+		// Documents without geohash are not returned by geohash range queries
+		if (location !== null) {
+			offerIndexItem["location"] = location;
+			offerIndexItem["geohash"] = geohash;
+		}
+
+		offerIndexItems[`${userUid}_${offer.offer_uid}`] = offerIndexItem;
+	});
+
+	return offerIndexItems;
+}
+
+// Rewrite offer index documents of the user and delete documents of removed offers
+function getUpdateOfferIndexPromise(userUid, user) {
+	const offerIndexItems = getOfferIndexItems(userUid, user);
+
+	return firestore
+		.collection('offerIndex')
+		.where('providerUserUid', '==', userUid)
+		.get()
+		.then(snapshot => {
+			let batch = firestore.batch();
+
+			snapshot.forEach(doc => {
+				if (offerIndexItems[doc.id] === undefined) {
+					batch.delete(doc.ref);
+				}
+			});
+
+			Object.keys(offerIndexItems).forEach(offerIndexUid => {
+				batch.set(firestore.collection('offerIndex').doc(offerIndexUid), offerIndexItems[offerIndexUid]);
+			});
+
+			return batch.commit();
+		});
+}
+
+// Query geohash ranges covering the circle, then filter offers by exact distance.
+// Note that offers are read in geohash order, so if the read limit is reached in dense areas,
+// some offers are not found, even if they are nearer than the returned ones.
+function getNearbyOffersPromise(lat, lng, radiusKm) {
+	const geohashes = getGeohashesCoveringCircle(lat, lng, radiusKm);
+	const rangeReadCount = Math.floor(maxNearbyOffersReadCount / geohashes.length);
+
+	return Promise.all(geohashes.map(geohash => getGeohashRangeOffersPromise(geohash, lat, lng, radiusKm, rangeReadCount, [], null)))
+		.then(offerArrays => {
+			let offers = [];
+
+			offerArrays.forEach(rangeOffers => {
+				offers.push(...rangeOffers);
+			});
+
+			return offers
+				.sort((first, second) => first.distanceKm - second.distanceKm)
+				.slice(0, maxNearbyOfferResultCount);
+		});
+}
+
+// Read offers of the geohash range page by page (up to remainingReadCount offers)
+// and keep the ones within radiusKm from (lat, lng)
+function getGeohashRangeOffersPromise(geohash, lat, lng, radiusKm, remainingReadCount, offers, lastDoc) {
+	const pageSize = Math.min(nearbyOffersPageSize, remainingReadCount);
+
+	const query = firestore
+		.collection('offerIndex')
+		.orderBy('geohash');
+
+	// The next page starts after the last offer of the previous page
+	return (lastDoc !== null ? query.startAfter(lastDoc) : query.startAt(geohash))
+		.endAt(`${geohash}~`)
+		.limit(pageSize)
 		.get()
+		.then(snapshot => {
+			snapshot.forEach(doc => {
+				const offerIndexItem = doc.data();
+
+				if (offerIndexItem.location === undefined || offerIndexItem.location === null) {
+					// Offers without location can't be nearby
+					return;
+				}
+
+				const distanceKm = getDistanceKm(lat, lng, offerIndexItem.location.latitude, offerIndexItem.location.longitude);
+
+				if (distanceKm <= radiusKm) {
+					offers.push({
+						providerUserUid: offerIndexItem.providerUserUid,
+						offerUid: offerIndexItem.offerUid,
+						title: offerIndexItem.title,
+						price: offerIndexItem.price,
+						rating: offerIndexItem.rating,
+						reviewCount: offerIndexItem.reviewCount,
+						lat: offerIndexItem.location.latitude,
+						lng: offerIndexItem.location.longitude,
+						distanceKm: distanceKm
+					});
+				}
+			});
+
+			if (snapshot.size < pageSize || snapshot.size === remainingReadCount) {
+				// Last page of the range or the read limit is reached
+				return offers;
+			}
+
+			return getGeohashRangeOffersPromise(geohash, lat, lng, radiusKm, remainingReadCount - snapshot.size, offers, snapshot.docs[snapshot.size - 1]);
+		});
 }
 
-function getUpdateSenderChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText) {
-    const chatroomUid = getChatroomUid(senderUid, receiverUid);
-	const senderChatroomRef = getUserChatroomRef(senderUid, chatroomUid);
+// Query offers containing any of the terms and rank them.
+// Offers are read page by page, and only the best ranked ones are kept between pages.
+function getSearchOffersPromise(terms, filters, offers, lastDoc) {
+	let query = firestore
+		.collection('offerIndex')
+		.where('keywords', 'array-contains-any', terms)
+		.orderBy(FieldPath.documentId())
+		.limit(offerSearchPageSize);
+
+	if (lastDoc !== undefined) {
+		query = query.startAfter(lastDoc);
+	}
 
-	// For sender chatroom second user is the receiver
-	let updatedSenderChatroom = getUpdatedChatroom(receiverUid, receiverName, receiverUserPicUrl);
+	let rankedOffers = offers !== undefined ? offers : [];
+
+	return query.get()
+		.then(snapshot => {
+			snapshot.forEach(doc => {
+				const offerIndexItem = doc.data();
+
+				if (!isOfferMatchingFilters(offerIndexItem, filters)) {
+					return;
+				}
+
+				const matchedTermCount = terms.filter(term => offerIndexItem.keywords.indexOf(term) >= 0).length;
+
+				rankedOffers.push({
+					providerUserUid: offerIndexItem.providerUserUid,
+					offerUid: offerIndexItem.offerUid,
+					title: offerIndexItem.title,
+					price: offerIndexItem.price,
+					rating: offerIndexItem.rating,
+					reviewCount: offerIndexItem.reviewCount,
+					matchedTermCount: matchedTermCount
+				});
+			});
+
+			rankedOffers = rankedOffers
+				.sort((first, second) => {
+					if (first.matchedTermCount !== second.matchedTermCount) {
+						return second.matchedTermCount - first.matchedTermCount;
+					}
+
+					return second.rating - first.rating;
+				})
+				.slice(0, maxOfferSearchResultCount);
+
+			if (snapshot.size < offerSearchPageSize) {
+				return rankedOffers;
+			}
+
+			return getSearchOffersPromise(terms, filters, rankedOffers, snapshot.docs[snapshot.size - 1]);
+		});
+}
+
+function isOfferMatchingFilters(offerIndexItem, filters) {
+	return (filters.minPrice === undefined || offerIndexItem.price >= filters.minPrice)
+		&& (filters.maxPrice === undefined || offerIndexItem.price <= filters.maxPrice)
+		&& (filters.minRating === undefined || offerIndexItem.rating >= filters.minRating)
+		&& (filters.providerUserUid === undefined || offerIndexItem.providerUserUid === filters.providerUserUid);
+}
+
+// --- Keywords ---
+
+// Split text into lowercase words without punctuation and stop words
+function getSearchWords(text) {
+	if (typeof text !== 'string') {
+		return [];
+	}
+
+	return text
+		.toLowerCase()
+		.replace(/[^\w\s\u00C0-\uFFFF]|_/g, ' ')
+		.split(/\s+/)
+		.filter(word => word.length > 0 && searchStopWords.indexOf(word) < 0);
+}
+
+// Get unique words and their prefixes of all texts
+function getKeywords(texts) {
+	let keywords = [];
+
+	texts.forEach(text => {
+		getSearchWords(text).forEach(word => {
+			for (let length = Math.min(minKeywordPrefixLength, word.length); length <= word.length; length++) {
+				const prefix = word.substring(0, length);
+
+				if (keywords.indexOf(prefix) < 0) {
+					keywords.push(prefix);
+				}
+			}
+		});
+	});
+
+	return keywords;
+}
+
+// Get unique query words (they are matched against keyword prefixes, so partial words match too)
+function getSearchTerms(query) {
+	let terms = [];
+
+	getSearchWords(query).forEach(word => {
+		if (terms.indexOf(word) < 0 && terms.length < maxSearchQueryTermCount) {
+			terms.push(word);
+		}
+	});
+
+	return terms;
+}
+
+// --- Geohash ---
+
+const geohashBase32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function encodeGeohash(lat, lng, precision) {
+	let latRange = [-90, 90];
+	let lngRange = [-180, 180];
+	let geohash = '';
+	let isLngBit = true;
+	let bitCount = 0;
+	let charIndex = 0;
+
+	while (geohash.length < precision) {
+		const range = isLngBit ? lngRange : latRange;
+		const value = isLngBit ? lng : lat;
+		const middle = (range[0] + range[1]) / 2;
+
+		charIndex = charIndex * 2;
+
+		if (value >= middle) {
+			charIndex = charIndex + 1;
+			range[0] = middle;
+
+		} else {
+			range[1] = middle;
+		}
+
+		isLngBit = !isLngBit;
+		bitCount++;
+
+		if (bitCount === 5) {
+			geohash = geohash + geohashBase32.charAt(charIndex);
+			bitCount = 0;
+			charIndex = 0;
+		}
+	}
+
+	return geohash;
+}
+
+// Get size of geohash cell of provided precision in degrees
+function getGeohashCellSizeDegrees(precision) {
+	const bits = precision * 5;
+	const lngBits = Math.ceil(bits / 2);
+	const latBits = Math.floor(bits / 2);
+
+	return {
+		lat: 180 / Math.pow(2, latBits),
+		lng: 360 / Math.pow(2, lngBits)
+	};
+}
+
+// Get geohashes of the cell containing the center and its 8 neighbours.
+// Precision is chosen so that the cell is not smaller than the radius,
+// so these cells cover the whole circle.
+function getGeohashesCoveringCircle(lat, lng, radiusKm) {
+	const kmPerDegree = 111.32;
+	const lngKmPerDegree = Math.max(kmPerDegree * Math.cos(lat * Math.PI / 180), 0.01);
+
+	let precision = offerIndexGeohashPrecision;
+	let cellSize = getGeohashCellSizeDegrees(precision);
+
+	while (precision > 1 && (cellSize.lat * kmPerDegree < radiusKm || cellSize.lng * lngKmPerDegree < radiusKm)) {
+		precision--;
+		cellSize = getGeohashCellSizeDegrees(precision);
+	}
+
+	let geohashes = [];
+
+	[-1, 0, 1].forEach(latStep => {
+		[-1, 0, 1].forEach(lngStep => {
+			const cellLat = Math.max(-90, Math.min(90, lat + latStep * cellSize.lat));
+			let cellLng = lng + lngStep * cellSize.lng;
+
+			// Wrap longitude around the antimeridian
+			if (cellLng > 180) {
+				cellLng = cellLng - 360;
+
+			} else if (cellLng < -180) {
+				cellLng = cellLng + 360;
+			}
+
+			const geohash = encodeGeohash(cellLat, cellLng, precision);
+
+			if (geohashes.indexOf(geohash) < 0) {
+				geohashes.push(geohash);
+			}
+		});
+	});
+
+	return geohashes;
+}
+
+// Haversine distance between two points
+function getDistanceKm(lat1, lng1, lat2, lng2) {
+	const earthRadiusKm = 6371;
+	const toRadians = degrees => degrees * Math.PI / 180;
+
+	const latDelta = toRadians(lat2 - lat1);
+	const lngDelta = toRadians(lng2 - lng1);
+
+	const a = Math.sin(latDelta / 2) * Math.sin(latDelta / 2)
+		+ Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(lngDelta / 2) * Math.sin(lngDelta / 2);
+
+	return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// -------------------------
+
+// --- Account deletion ---
+
+// Get grace period in days from functions config.
+// Deletion time is saved when the account is marked, so the changed grace period applies only to accounts deleted after the change.
+function getAccountDeletionGraceDays() {
+	const accountConfig = functions.config().account !== undefined ? functions.config().account : {};
+	const graceDays = getConfigNumber(accountConfig.deletion_grace_days);
+
+	return graceDays !== null ? graceDays : defaultAccountDeletionGraceDays;
+}
+
+// Mark user document pending deletion, if it exists and is not marked yet.
+// Returns the time, when the account will be deleted.
+function getMarkAccountPendingDeletionPromise(userUid) {
+	const userRef = firestore.collection('users').doc(userUid);
 
 	return firestore.runTransaction(transaction => {
-		    return transaction.get(senderChatroomRef)
-				.then(doc => {
-					// Get sender chatroom
-					const senderChatroom = doc.data();
+		return transaction.get(userRef)
+			.then(doc => {
+				const user = doc.data();
 
-					updatedSenderChatroom = updateChatroomLastMessage(updatedSenderChatroom, messageText, messageTimestamp);
+				if (user === undefined) {
+					// User document has already been deleted
+					return null;
+				}
 
-					if (senderChatroom === undefined) {
-						// Chatroom does not exist yet.
-						// Create it instead of updating.
-						return transaction.set(senderChatroomRef, updatedSenderChatroom);
+				if (user.isPendingDeletion === true) {
+					return user.deletionScheduledAt;
+				}
 
-					} else {
-						// Get current last message timestamp
-						const senderChatroomCurrentLastMessageTimestamp = senderChatroom.lastMessageTimestamp;
+				const nowMillis = Date.now();
+				const deletionScheduledAt = admin.firestore.Timestamp.fromMillis(nowMillis + getAccountDeletionGraceDays() * 24 * 60 * 60 * 1000);
 
-						// Update sender chatroom only if this message is newer, 
-						// than the last message in the chatroom.
-						if (senderChatroomCurrentLastMessageTimestamp === undefined || messageTimestamp.toMillis() > senderChatroomCurrentLastMessageTimestamp.toMillis()) {
-							return transaction.update(senderChatroomRef, updatedSenderChatroom);
+				transaction.update(userRef, {
+					isPendingDeletion: true,
+					deletionRequestedAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+					deletionScheduledAt: deletionScheduledAt
+				});
 
-						} else {
-							// Message is older than sender chatroom last message, do not update
-							return null;
-						}
-					}
-		    	})
+				return deletionScheduledAt;
+			});
+	});
+}
+
+// Create FirebaseAuth user with provided uid, if it does not exist.
+// Returns true, if the user has been created.
+function getRecreateAuthUserPromise(userUid) {
+	let isCreated = false;
+
+	return admin.auth().getUser(userUid)
+		.catch(err => {
+			if (err.code !== 'auth/user-not-found') {
+				throw err;
+			}
+
+			isCreated = true;
+			return admin.auth().createUser({uid: userUid});
 		})
-		.then(result => {
-			return null;
+		.then(() => {
+			return isCreated;
+		});
+}
+
+// Purge the next batch of expired accounts and continue with the next batch,
+// until all expired accounts are purged or the deadline is reached.
+// Accounts, that have failed to be purged, are skipped and purged by the next invocation.
+function getPurgeDeletedAccountsBatchPromise(nowTimestamp, lastDoc, deadlineMillis) {
+	let query = firestore
+		.collection('users')
+		.where('deletionScheduledAt', '<=', nowTimestamp)
+		.orderBy('deletionScheduledAt')
+		.limit(purgeDeletedAccountsBatchSize);
+
+	if (lastDoc !== null) {
+		query = query.startAfter(lastDoc);
+	}
+
+	let batchDocs;
+
+	return query.get()
+		.then(snapshot => {
+			batchDocs = snapshot.docs;
+			return Promise.all(batchDocs.map(doc => getPurgeDeletedAccountPromise(doc)));
 		})
+		.then(() => {
+			if (batchDocs.length < purgeDeletedAccountsBatchSize) {
+				return null;
+			}
+
+			if (Date.now() > deadlineMillis) {
+				console.log('Purge deleted accounts is out of time, remaining accounts are purged by the next invocation');
+				return null;
+			}
+
+			return getPurgeDeletedAccountsBatchPromise(nowTimestamp, batchDocs[batchDocs.length - 1], deadlineMillis);
+		});
+}
+
+// Delete FirebaseAuth user and user document
+function getPurgeDeletedAccountPromise(userDoc) {
+	const userUid = userDoc.id;
+
+	return admin.auth().deleteUser(userUid)
 		.catch(err => {
-			console.log('Update sender chatroom transaction failure:', err);
+			if (err.code !== 'auth/user-not-found') {
+				throw err;
+			}
+
 			return null;
+		})
+		.then(() => {
+			return userDoc.ref.delete();
+		})
+		.catch(err => {
+			// Do not stop purging other accounts, this one will be purged next time
+			return getRecordFailedOperationPromise('purgeDeletedAccount', [userUid], userUid, err);
 		});
 }
 
-function getUpdateReceiverChatroomOnCreatePromise(senderUid, receiverUid, senderName, receiverName, senderUserPicUrl, receiverUserPicUrl, messageTimestamp, messageText) {
-    const chatroomUid = getChatroomUid(senderUid, receiverUid);
-	const receiverChatroomRef = getUserChatroomRef(receiverUid, chatroomUid);
+// Purge the account, if its grace period after deletion has expired and it has not been restored
+// (used to replay failed purge)
+function getPurgeDeletedAccountByUidPromise(userUid) {
+	return firestore
+		.collection('users')
+		.doc(userUid)
+		.get()
+		.then(doc => {
+			const user = doc.data();
 
-	// For receiver chatroom second user is the sender
-	let updatedReceiverChatroom = getUpdatedChatroom(senderUid, senderName, senderUserPicUrl);
+			if (user === undefined || user.deletionScheduledAt === undefined || user.deletionScheduledAt.toMillis() > Date.now()) {
+				return null;
+			}
 
-	return firestore.runTransaction(transaction => {
-			let receiverChatroom;
-			let receiverChatroomCurrentLastMessageTimestamp = 0;
-			let receiverChatroomCurrentNewMessageCount;
+			return getPurgeDeletedAccountPromise(doc);
+		});
+}
 
-	    	return transaction.get(receiverChatroomRef)
-	    		.then(doc => {
-					// Get receiver chatroom
-					receiverChatroom = doc.data();
+// -------------------------
 
-					// Get current last message timestamp and new message count
-					receiverChatroomCurrentLastMessageTimestamp = receiverChatroom !== undefined ? receiverChatroom.lastMessageTimestamp : undefined;
-					receiverChatroomCurrentNewMessageCount = receiverChatroom !== undefined ? receiverChatroom.newMessageCount : 0;
+// --- Photos ---
 
-			        // Get receiver's unread chatroom messages
-			        return getReceiverChatroomUnreadMessagesPromise(chatroomUid, receiverUid);
-		    	})
-		    	.then(snapshot => {
-					// Count the number of unread chatroom messages
-					const unreadMessageCount = snapshot.empty ? 0 : snapshot.size;
+function getPhotoThumbnailPath(photoPath, size) {
+	return photoPath.replace(/\.jpg$/, `_${size}.jpg`);
+}
 
-			    	let isCountUpdated = false;
-			    	let isLastMessageUpdated = false;
+function getPhotoThumbnailPaths(photoPath) {
+	return Object.keys(photoThumbnailSizesPixels).map(size => getPhotoThumbnailPath(photoPath, size));
+}
 
-				    // New message count in the receiver chatroom must be updated only if it is different
-			    	if (unreadMessageCount !== receiverChatroomCurrentNewMessageCount) {
-						updatedReceiverChatroom["newMessageCount"] = unreadMessageCount;
-						isCountUpdated = true;
-			    	}
+function isPhotoThumbnailPath(filePath) {
+	return Object.keys(photoThumbnailSizesPixels).some(size => filePath.endsWith(`_${size}.jpg`));
+}
 
-					// Last message in the receiver chatroom should be updated,
-					// only if this message is newer.
-			    	if (receiverChatroomCurrentLastMessageTimestamp === undefined || messageTimestamp.toMillis() > receiverChatroomCurrentLastMessageTimestamp.toMillis()) {
-						updatedReceiverChatroom = updateChatroomLastMessage(updatedReceiverChatroom, messageText, messageTimestamp);			    		
-						isLastMessageUpdated = true;
-			    	}
+// Replace the photo with processed one and generate its thumbnails.
+// Photo, that can't be decoded as an image, is deleted.
+function getProcessPhotoPromise(object) {
+	const photoPath = object.name;
 
-			    	if (receiverChatroom === undefined) {
-						// Chatroom does not exist yet.
-						// Create it instead of updating.
-			    		return transaction.set(receiverChatroomRef, updatedReceiverChatroom);
+	let photo;
 
-			    	} else {
-				    	if (isCountUpdated || isLastMessageUpdated) {
-				    		// If new message count or last message should be updated, 
-				    		// then update receiver chatroom.
-				    		return transaction.update(receiverChatroomRef, updatedReceiverChatroom);
+	return bucket.file(photoPath)
+		.download()
+		.then(data => {
+			photo = data[0];
+			return getIsImagePromise(photo);
+		})
+		.then(isImage => {
+			if (!isImage) {
+				console.log('Photo rejected, not an image:', photoPath);
+				return getDeleteFileIfExistsPromise(photoPath);
+			}
 
-				    	} else {
-				    		// If nothing should be updated, do nothing.
-				    		return null;
-				    	}
-			    	}
-		    	})
+			// Keep download token of the photo, so that its download URL saved by the app remains valid
+			const downloadTokens = object.metadata !== undefined ? object.metadata.firebaseStorageDownloadTokens : undefined;
+
+			let savePromiseArray = [getSaveProcessedPhotoPromise(photoPath, photo, maxPhotoSizePixels, downloadTokens)];
+
+			Object.keys(photoThumbnailSizesPixels).forEach(size => {
+				savePromiseArray.push(getSaveProcessedPhotoPromise(getPhotoThumbnailPath(photoPath, size), photo, photoThumbnailSizesPixels[size], undefined));
+			});
+
+			return Promise.all(savePromiseArray);
+		});
+}
+
+function getIsImagePromise(image) {
+	return sharp(image)
+		.metadata()
+		.then(metadata => {
+			return metadata.format !== undefined;
 		})
-		.then(result => {
-			return null;
+		.catch(() => {
+			// Not an image or unsupported image format
+			return false;
+		});
+}
+
+// Save JPEG image resized to fit into the square (metadata is not copied to the output)
+function getSaveProcessedPhotoPromise(filePath, image, sizePixels, downloadTokens) {
+	let customMetadata = {isProcessed: 'true'};
+
+	if (downloadTokens !== undefined) {
+		customMetadata.firebaseStorageDownloadTokens = downloadTokens;
+	}
+
+	// Rotate according to EXIF orientation before it is stripped
+	return sharp(image)
+		.rotate()
+		.resize(sizePixels, sizePixels, {fit: 'inside', withoutEnlargement: true})
+		.jpeg()
+		.toBuffer()
+		.then(processedImage => {
+			return bucket.file(filePath).save(processedImage, {
+				contentType: 'image/jpeg',
+				resumable: false,
+				metadata: {metadata: customMetadata}
+			});
+		});
+}
+
+// -------------------------
+
+// --- Orphaned Storage files ---
+
+// Sweep next page of user folders and save job progress.
+// Continues with the next page, until all folders are checked or the deadline is reached.
+function getSweepStoragePagePromise(jobRef, job, deadlineMillis) {
+	let query = {
+		delimiter: '/',
+		autoPaginate: false,
+		maxResults: storageSweepPageSize
+	};
+
+	if (job.pageToken !== null) {
+		query.pageToken = job.pageToken;
+	}
+
+	let nextPageToken;
+
+	return bucket.getFiles(query)
+		.then(results => {
+			const nextQuery = results[1];
+			const folders = results[2].prefixes !== undefined ? results[2].prefixes : [];
+
+			nextPageToken = (nextQuery !== null && nextQuery !== undefined) ? nextQuery.pageToken : null;
+
+			const userUids = folders
+				.map(folder => folder.substring(0, folder.length - 1))
+				.filter(folderName => nonUserStorageFolders.indexOf(folderName) < 0);
+
+			return Promise.all(userUids.map(userUid => getSweepUserFilesPromise(userUid, job)));
 		})
-		.catch(err => {
-			console.log('Update receiver chatroom transaction failure:', err);
-			return null;
+		.then(results => {
+			results.forEach(result => {
+				job.checkedCount += result.checkedCount;
+				job.orphanedCount += result.orphanedCount;
+			});
+
+			if (nextPageToken === null || nextPageToken === undefined) {
+				// This was the last page, the pass is finished
+				console.log(`Orphaned files sweep finished: ${job.checkedCount} checked, ${job.orphanedCount} orphaned`
+					+ (job.isDryRun ? ' (dry run)' : ''));
+
+				job.isPassInProgress = false;
+				job.pageToken = null;
+				job.lastPassFinishedAt = admin.firestore.Timestamp.now();
+				job.lastPassId = job.passId;
+				job.lastPassCheckedCount = job.checkedCount;
+				job.lastPassOrphanedCount = job.orphanedCount;
+
+			} else {
+				job.pageToken = nextPageToken;
+			}
+
+			return jobRef.set(job);
+		})
+		.then(() => {
+			if (!job.isPassInProgress || Date.now() > deadlineMillis) {
+				// Done or out of time (next invocation will continue from the page token)
+				return null;
+			}
+
+			return getSweepStoragePagePromise(jobRef, job, deadlineMillis);
 		});
 }
 
-function getUpdateReceiverChatroomOnUpdatePromise(senderUid, receiverUid) {
-    const chatroomUid = getChatroomUid(senderUid, receiverUid);
-    const receiverChatroomRef = getUserChatroomRef(receiverUid, chatroomUid);
+// Report and delete (unless dry run) orphaned files of the user.
+// Returns the numbers of checked and orphaned files.
+function getSweepUserFilesPromise(userUid, job) {
+	const userPromise = firestore.collection('users').doc(userUid).get();
+	const filesPromise = bucket.getFiles({prefix: `${userUid}/`});
 
-    // Run new message counter update inside the transaction
-    // to prevent corrupting data by parallel function execution.
-    // Transaction will restart from the beginning, if the data
-    // (the receiver's chatroom new message counter)
-    // is modified by another function instance execution.
-	return firestore.runTransaction(transaction => {
-			let currentReceiverNewMessageCount;
+	let orphanedFiles = [];
+	let checkedCount = 0;
 
-		    return transaction.get(receiverChatroomRef)
-	    		.then(doc => {
-					// Get receiver chatroom from the document
-					const receiverChatroom = doc.data();
+	return Promise.all([userPromise, filesPromise])
+		.then(results => {
+			const referencedFilePaths = getReferencedUserFilePaths(userUid, results[0].data());
+			const files = results[1][0];
+			const nowMillis = Date.now();
 
-					currentReceiverNewMessageCount = getNewMessageCount(receiverChatroom.newMessageCount);
+			files.forEach(file => {
+				if (!isSweptUserFilePath(userUid, file.name)) {
+					return;
+				}
 
-					if (currentReceiverNewMessageCount === 0) {
-						// Do nothing, if new message count is already 0
-						return null;
+				checkedCount++;
 
-					} else {
-				        // Otherwise get receiver's unread chatroom messages
-				        return getReceiverChatroomUnreadMessagesPromise(chatroomUid, receiverUid);
-					}
-		    	})
-				.then(snapshot => {
-					if (snapshot !== null) {
-						// Count the number of unread chatroom messages
-						const unreadMessageCount = snapshot.empty ? 0 : snapshot.size;
+				if (referencedFilePaths.indexOf(file.name) >= 0 || nowMillis - Date.parse(file.metadata.timeCreated) < orphanedFileGraceMillis) {
+					return;
+				}
 
-				    	if (unreadMessageCount !== currentReceiverNewMessageCount) {
-				    		// If the number of unread chatroom messages is different from the current new message count,
-					    	// update new message count of the receiver's chatroom with the number of unread messages.
-					      	return transaction.update(receiverChatroomRef, {newMessageCount: unreadMessageCount});
-				    	
-				    	} else {
-				    		// Current new message count is already correct, do nothing
-				    		return null;
-				    	}
+				orphanedFiles.push(file);
+			});
 
-				    } else {
-				    	// Snapshot is null (because current new message count is already 0 int previous then()),
-				    	// do nothing.
-				    	return null;
-				    }
-				})
+			return getReportOrphanedFilesPromise(job, orphanedFiles);
 		})
-		.then(result => {
-			return null;
+		.then(() => {
+			if (job.isDryRun) {
+				return null;
+			}
+
+			return Promise.all(orphanedFiles.map(file => getDeleteFileIfExistsPromise(file.name)));
 		})
-		.catch(err => {
-			console.log('Transaction failure:', err);
-			return null;
+		.then(() => {
+			return {
+				checkedCount: checkedCount,
+				orphanedCount: orphanedFiles.length
+			};
 		});
 }
 
-function getUserChatroomsAndUpdateUsername(userUid, newUsername, newUserPicUrl) {
-	// Get user's chatrooms and update username inside them
-	return firestore
-		.collection('userChatrooms')
-		.doc(userUid)
-		.collection('chatroomsOfUser')
-		.get()
-		.then(snapshot => {
-			if (!snapshot.empty) {
-				// Update username in chatrooms
-				return getUpdateUsernameInChatroomsPromise(snapshot, newUsername, newUserPicUrl);
+// Only userpic, user photos and offer photos are checked, other files in user folder are never deleted
+function isSweptUserFilePath(userUid, filePath) {
+	return filePath === `${userUid}/userpic.jpg`
+		|| filePath.indexOf(`${userUid}/user_photos/`) === 0
+		|| filePath.indexOf(`${userUid}/offer_photos/`) === 0;
+}
+
+// Get paths of files, that are referenced by the user document (user is undefined, if the user does not exist)
+function getReferencedUserFilePaths(userUid, user) {
+	let filePaths = [];
+
+	if (user === undefined) {
+		return filePaths;
+	}
+
+	if (user.userPicUrl !== undefined && user.userPicUrl !== "") {
+		filePaths.push(`${userUid}/userpic.jpg`);
+	}
+
+	const addPhotoFilePaths = (photoList, photoFolderName) => {
+		if (photoList !== undefined) {
+			photoList.forEach(photo => {
+				const photoPath = `${userUid}/${photoFolderName}/${photo.photoUid}.jpg`;
+				filePaths.push(photoPath, ...getPhotoThumbnailPaths(photoPath));
+			});
+		}
+	};
 
-    		} else {
-    			// No user chatrooms found, do nothing
-      			return null;
-    		} 
+	addPhotoFilePaths(user.photoList, 'user_photos');
+
+	if (user.offerList !== undefined) {
+		user.offerList.forEach(offer => {
+			addPhotoFilePaths(offer.offer_photo_list, 'offer_photos');
 		});
+	}
+
+	return filePaths;
 }
 
-function getUpdateUsernameInChatroomsPromise(snapshot, newUsername, newUserPicUrl) {
-    let updateChatroomPromiseArray = [];
+// Write orphaned files to the report of the current pass
+function getReportOrphanedFilesPromise(job, orphanedFiles) {
+	const reportRef = firestore.collection('storageSweepReports').doc(job.passId);
 
-    // For all chatrooms of the user
-    for (let i = 0; i < snapshot.size; i++) {
-        const chatroom = snapshot.docs[i].data();
-    	const chatroomUid = snapshot.docs[i].id;
-        const secondUserUid = chatroom.secondUserUid;
+	let commitBatchPromiseArray = [];
 
-		const updatedChatroom = {
-			secondUserName: `${newUsername}`,
-			secondUserPicUrl: `${newUserPicUrl}`
-		};
+	for (let i = 0; i < orphanedFiles.length; i += deleteCollectionBatchSize) {
+		let batch = firestore.batch();
 
-        // Create promises to change username in the chatroom for SECOND user only
-		updateChatroomPromiseArray.push(getUpdateChatroomForUserPromise(chatroomUid, secondUserUid, updatedChatroom));
-    }
+		orphanedFiles.slice(i, i + deleteCollectionBatchSize).forEach(file => {
+			batch.set(reportRef.collection('orphanedFiles').doc(encodeURIComponent(file.name)), {
+				path: file.name,
+				size: Number(file.metadata.size),
+				createdAt: admin.firestore.Timestamp.fromMillis(Date.parse(file.metadata.timeCreated)),
+				action: job.isDryRun ? 'reported' : 'deleted'
+			});
+		});
+
+		commitBatchPromiseArray.push(batch.commit());
+	}
 
-    return Promise.all(updateChatroomPromiseArray);
+	return Promise.all(commitBatchPromiseArray);
 }
 
-function getUpdateChatroomForUserPromise(chatroomUid, userUid, updatedChatroom) {
-    const chatroomRef = getUserChatroomRef(userUid, chatroomUid);
+// -------------------------
 
-	return firestore.runTransaction(transaction => {
-		    return transaction.get(chatroomRef)
-				.then(doc => {
-					return transaction.update(chatroomRef, updatedChatroom);
-		    	})
-		})
+// --- Data export ---
+
+// Get list of sources (documents, collections and queries) with personal data of the user.
+// Note that reviews written by the user are found with collection group query,
+// which needs single field index on authorUid with collection group scope (see firestore.indexes.json).
+function getDataExportSourcesPromise(userUid) {
+	const userPromise = firestore.collection('users').doc(userUid).get();
+	const chatroomsPromise = firestore.collection('userChatrooms').doc(userUid).collection('chatroomsOfUser').get();
+	const hiddenChatroomsPromise = firestore.collection('userChatrooms').doc(userUid).collection('hiddenChatroomsOfUser').get();
+
+	return Promise.all([userPromise, chatroomsPromise, hiddenChatroomsPromise])
+		.then(results => {
+			const user = results[0].data();
+			const chatroomDocs = results[1].docs.concat(results[2].docs);
+
+			let sources = [
+				{name: 'user', documentPath: `users/${userUid}`},
+				{name: 'favorites', collectionPath: `userFavorites/${userUid}/favoritesOfUser`},
+				{name: 'chatrooms', collectionPath: `userChatrooms/${userUid}/chatroomsOfUser`},
+				{name: 'hiddenChatrooms', collectionPath: `userChatrooms/${userUid}/hiddenChatroomsOfUser`},
+				{name: 'blockedUsers', collectionPath: `userBlockedUsers/${userUid}/blockedUsersOfUser`}
+			];
+
+			// Messages sent or received by the user
+			chatroomDocs.forEach(doc => {
+				sources.push({name: `messages-${doc.id}`, collectionPath: `chatrooms/${doc.id}/messages`});
+			});
+
+			// Reviews on user's offers
+			if (user !== undefined && user.offerList !== undefined) {
+				user.offerList.forEach(offer => {
+					sources.push({
+						name: `offerReviews-${offer.offer_uid}`,
+						collectionPath: `reviews/${getOfferReviewsDocumentUid(userUid, offer.offer_uid)}/reviewsOfOffer`
+					});
+				});
+			}
+
+			// Reviews written by the user
+			sources.push({name: 'writtenReviews', reviewAuthorUid: userUid});
+
+			return sources;
+		});
+}
+
+// Get list of sources and save it in Storage, so that the export can continue from the cursor
+// in the next invocations (only source count and index are saved in the export document).
+function getSaveDataExportSourcesPromise(userUid) {
+	let sources;
+
+	return getDataExportSourcesPromise(userUid)
 		.then(result => {
-			return null;
+			sources = result;
+
+			return bucket.file(getDataExportSourcesPath(userUid)).save(JSON.stringify(sources), {
+				contentType: 'application/json',
+				resumable: false
+			});
 		})
-		.catch(err => {
-			console.log('Update username in chatroom transaction failure:', err);
-			return null;
+		.then(() => {
+			return sources;
 		});
 }
 
-function getOfferReviewsPromise(offerReviewsDocument) {
-    return firestore
-    	.collection('reviews')
-    	.doc(offerReviewsDocument)
-    	.collection('reviewsOfOffer')
-    	.orderBy('timestamp', 'desc')
-		.get()
+// Get list of sources saved by getSaveDataExportSourcesPromise()
+function getLoadDataExportSourcesPromise(userUid) {
+	return bucket.file(getDataExportSourcesPath(userUid))
+		.download()
+		.then(data => {
+			return JSON.parse(data[0].toString());
+		});
 }
 
-function recalculateOfferRatings(snapshot, providerUser, offerUid) {
-	let newReviewCount = 0;
-	let ratingSum = 0;
-	let averageRating = 0;
-
-  	// Get offer rating list
-  	let offerRatings = providerUser.offerRatingList;
+// Export next page of the current source and save it as JSON part.
+// Continues with the next page, until all sources are exported or the deadline is reached.
+// When the deadline is reached, export progress is saved, which triggers the next invocation.
+function getProcessDataExportPagePromise(dataExportRef, userUid, dataExport, sources, deadlineMillis) {
+	if (dataExport.sourceIndex >= sources.length) {
+		return getFinishDataExportPromise(dataExportRef, userUid);
+	}
 
-  	if (offerRatings === undefined) {
-  		// If user has no reviews yet, create new offer rating array
-  		offerRatings = [];
-  	}
+	if (Date.now() > deadlineMillis) {
+		dataExport.updatedAt = admin.firestore.Timestamp.now();
+		return dataExportRef.set(dataExport);
+	}
 
-  	// Find index of current offer's rating
-  	const index = offerRatings.findIndex( item => item.offer_uid === offerUid );
+	const source = sources[dataExport.sourceIndex];
+	let page;
 
-	if (snapshot.empty) {
-		// If no reviews left (all reviews have been deleted),
-		// remove current offer's rating (if exists).
-	  	if (index >= 0 && index < offerRatings.length) {
-   			offerRatings.splice(index, 1);
-	  	}
+	return getDataExportPagePromise(source, dataExport.cursor)
+		.then(result => {
+			page = result;
 
-	} else {
-		// Otherwise update current offer's rating.
-		newReviewCount = snapshot.size;
+			if (page.items.length === 0) {
+				return null;
+			}
 
-		let latestReview;
-		let i = 0;
+			const partPath = `${getDataExportFolder(userUid)}/parts/${getPaddedNumber(dataExport.partCount, 6)}-${source.name}.json`;
 
-		snapshot.forEach(doc => {
-			const reviewItem = doc.data();
+			return bucket.file(partPath).save(JSON.stringify(page.items, firestoreJsonReplacer, 2), {
+				contentType: 'application/json',
+				resumable: false
+			});
+		})
+		.then(() => {
+			if (page.items.length > 0) {
+				dataExport.partCount++;
+			}
 
-			if (i === 0) {
-				latestReview = reviewItem;
+			if (page.cursor === null) {
+				dataExport.sourceIndex++;
 			}
 
-			ratingSum = ratingSum + reviewItem.rating;
+			dataExport.cursor = page.cursor;
 
-			i++;
+			return getProcessDataExportPagePromise(dataExportRef, userUid, dataExport, sources, deadlineMillis);
 		});
+}
 
-		averageRating = ratingSum / newReviewCount;
+// Get next page of the source documents after the cursor.
+// Returned cursor is null, if this is the last page.
+function getDataExportPagePromise(source, cursor) {
+	if (source.documentPath !== undefined) {
+		return firestore.doc(source.documentPath).get()
+			.then(doc => {
+				return {
+					items: doc.exists ? [{path: doc.ref.path, data: doc.data()}] : [],
+					cursor: null
+				};
+			});
+	}
 
-		let offerRating;
+	const isCollectionGroup = source.reviewAuthorUid !== undefined;
 
-	  	if (index >= 0 && index < offerRatings.length) {
-	   		// Current offer's rating exist
-	      	offerRating = offerRatings[index];
+	let query = isCollectionGroup
+		? firestore.collectionGroup('reviewsOfOffer').where('authorUid', '==', source.reviewAuthorUid)
+		: firestore.collection(source.collectionPath);
 
-	      	offerRating.offer_rating = averageRating;
-	      	offerRating.offer_review_count = newReviewCount;
-			offerRating.offer_last_review_author_name = latestReview.authorName;
-			offerRating.offer_last_review_author_pic = latestReview.authorUserPicUrl;
-			offerRating.offer_last_review_text = latestReview.text;
-			offerRating.offer_last_review_timestamp = latestReview.timestamp;
+	query = query
+		.orderBy(FieldPath.documentId())
+		.limit(dataExportPageSize);
 
-	  	} else {
-	  		// Otherwise (this is the first review on the current offer)
-	  		// create new rating and add it to offer rating array.
-			offerRating = {
-				offer_uid: offerUid,
-				offer_rating: averageRating,
-				offer_review_count: newReviewCount,
-				offer_last_review_author_name: latestReview.authorName,
-				offer_last_review_author_pic: latestReview.authorUserPicUrl,
-				offer_last_review_text: latestReview.text,
-				offer_last_review_timestamp: latestReview.timestamp
+	if (cursor !== null) {
+		// Cursor is document id for collections and full document path for collection groups
+		query = query.startAfter(cursor);
+	}
+
+	return query.get()
+		.then(snapshot => {
+			const docs = snapshot.docs;
+			const lastDoc = docs[docs.length - 1];
+
+			return {
+				items: docs.map(doc => {
+					return {path: doc.ref.path, data: doc.data()};
+				}),
+				cursor: docs.length < dataExportPageSize ? null : (isCollectionGroup ? lastDoc.ref.path : lastDoc.id)
 			};
+		});
+}
 
-			offerRatings.push(offerRating);
-	  	}
+// Convert Firestore values to plain JSON values (also used for callable function results)
+function firestoreJsonReplacer(key, value) {
+	const originalValue = this[key];
+
+	if (originalValue instanceof admin.firestore.Timestamp) {
+		return originalValue.toDate().toISOString();
 	}
 
-  	return offerRatings;
+	if (originalValue instanceof admin.firestore.GeoPoint) {
+		return {latitude: originalValue.latitude, longitude: originalValue.longitude};
+	}
+
+	if (originalValue instanceof admin.firestore.DocumentReference) {
+		return originalValue.path;
+	}
+
+	return value;
+}
+
+// Pack JSON parts and user's photos into zip archive, delete the parts and source list and mark the export finished
+function getFinishDataExportPromise(dataExportRef, userUid) {
+	const dataExportFolder = getDataExportFolder(userUid);
+	const partsFolder = `${dataExportFolder}/parts/`;
+	const archivePath = `${dataExportFolder}/data-export.zip`;
+
+	return Promise.all([bucket.getFiles({prefix: partsFolder}), bucket.getFiles({prefix: `${userUid}/`})])
+		.then(results => {
+			const partFiles = results[0][0];
+			const mediaFiles = results[1][0];
+
+			return new Promise((resolve, reject) => {
+				const archive = archiver('zip');
+				const archiveStream = bucket.file(archivePath).createWriteStream({
+					contentType: 'application/zip',
+					resumable: false
+				});
+
+				archiveStream.on('finish', resolve);
+				archiveStream.on('error', reject);
+				archive.on('error', reject);
+
+				archive.pipe(archiveStream);
+
+				partFiles.forEach(file => {
+					archive.append(file.createReadStream(), {name: `data/${file.name.substring(partsFolder.length)}`});
+				});
+
+				mediaFiles.forEach(file => {
+					archive.append(file.createReadStream(), {name: `media/${file.name.substring(userUid.length + 1)}`});
+				});
+
+				archive.finalize();
+			});
+		})
+		.then(() => {
+			return Promise.all([bucket.deleteFiles({prefix: partsFolder}), getDeleteFileIfExistsPromise(getDataExportSourcesPath(userUid))]);
+		})
+		.then(() => {
+			return dataExportRef.set({
+				status: 'finished',
+				archivePath: archivePath,
+				finishedAt: admin.firestore.Timestamp.now(),
+				updatedAt: admin.firestore.Timestamp.now()
+			});
+		});
+}
+
+// Start new export or resume failed export from the saved cursor
+// (both writes trigger processDataExport)
+function getStartDataExportPromise(dataExportRef, dataExport) {
+	const nowTimestamp = admin.firestore.Timestamp.now();
+
+	const writePromise = (dataExport !== undefined && dataExport.status === 'inProgress')
+		? dataExportRef.update({updatedAt: nowTimestamp})
+		: dataExportRef.set({
+			status: 'inProgress',
+			sourceCount: null,
+			sourceIndex: 0,
+			cursor: null,
+			partCount: 0,
+			startedAt: nowTimestamp,
+			updatedAt: nowTimestamp
+		});
+
+	return writePromise
+		.then(() => {
+			return {status: 'inProgress'};
+		});
+}
+
+// Signed URL is signed by the runtime service account (see exportMyData())
+function getDataExportUrlPromise(archivePath) {
+	const expiresMillis = Date.now() + dataExportUrlMillis;
+
+	return bucket.file(archivePath)
+		.getSignedUrl({action: 'read', expires: expiresMillis})
+		.then(results => {
+			return {
+				status: 'finished',
+				url: results[0],
+				expiresAt: new Date(expiresMillis).toISOString()
+			};
+		});
+}
+
+function getDataExportFolder(userUid) {
+	return `exports/${userUid}`;
+}
+
+function getDataExportSourcesPath(userUid) {
+	return `${getDataExportFolder(userUid)}/sources.json`;
+}
+
+function getPaddedNumber(number, length) {
+	let paddedNumber = `${number}`;
+
+	while (paddedNumber.length < length) {
+		paddedNumber = `0${paddedNumber}`;
+	}
+
+	return paddedNumber;
+}
+
+// Delete export document and export files of the user
+function getDeleteDataExportPromise(userUid) {
+	return Promise.all([
+		firestore.collection('dataExports').doc(userUid).delete(),
+		bucket.deleteFiles({prefix: `${getDataExportFolder(userUid)}/`})
+	]);
 }
 
+// -------------------------
+
 // --- Delete collection ---
 // Code taken from https://firebase.google.com/docs/firestore/manage-data/delete-data#collections
 // Recursively delete collection in batches of provided size.
@@ -732,6 +5483,11 @@ function deleteCollection(collectionPath, batchSize) {
 	let collectionRef = firestore.collection(collectionPath);
 	let query = collectionRef.orderBy('__name__').limit(batchSize);
 
+	return deleteQuery(query, batchSize);
+}
+
+// Delete all documents matching the query (query must be limited to batch size)
+function deleteQuery(query, batchSize) {
 	return new Promise((resolve, reject) => {
 		deleteQueryBatch(query, batchSize, resolve, reject);
 	});
@@ -789,28 +5545,109 @@ function getDeleteChatroomsOfUserPromise(userUid, batchSize) {
 	return deleteCollection(`userChatrooms/${userUid}/chatroomsOfUser`, batchSize);
 }
 
-// Delete chatroom messages collection in batches
+// Delete chatroom messages collection in batches and all chatroom attachments.
+// Chatroom is marked purged in chatroomPurges/{chatroomUid} first, so that onDeleteChatMessage()
+// skips the deleted messages (the mark expires like processed events, after their retries are over).
 function getDeleteChatroomMessagesPromise(chatroomUid, batchSize) {
-	return deleteCollection(`chatrooms/${chatroomUid}/messages`, batchSize);
+	const nowMillis = Date.now();
+
+	return firestore
+		.collection('chatroomPurges')
+		.doc(chatroomUid)
+		.set({
+			purgedAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+			expireAt: admin.firestore.Timestamp.fromMillis(nowMillis + processedEventTtlMillis)
+		})
+		.then(() => {
+			return deleteCollection(`chatrooms/${chatroomUid}/messages`, batchSize);
+		})
+		.then(() => {
+			return getDeleteChatroomAttachmentsPromise(chatroomUid);
+		});
+}
+
+// Returns true, if the message has been deleted by chatroom purge
+// (it has been sent before the chatroom has been marked purged)
+function getIsChatroomMessagePurgedPromise(chatroomUid, message) {
+	return firestore
+		.collection('chatroomPurges')
+		.doc(chatroomUid)
+		.get()
+		.then(doc => {
+			return doc.exists && message.timestamp !== undefined && message.timestamp.toMillis() <= doc.data().purgedAt.toMillis();
+		});
+}
+
+// Delete all chatroom messages, if second user in the chat does not exist
+function getDeleteOrphanedChatroomMessagesPromise(chatroomUid, secondUserUid) {
+	// Get second user in the chat
+	return firestore
+		.collection('users')
+		.doc(secondUserUid)
+		.get()
+		.then(doc => {
+			if (!doc.exists) {
+				// If second user not exists, delete all chatroom messages
+				return getDeleteChatroomMessagesPromise(chatroomUid, deleteCollectionBatchSize);
+
+			} else {
+				// Otherwise do NOT delete messages, because second user still needs them
+				return null;
+			}
+		});
+}
+
+// Delete blockedUsersOfUser collection in batches
+function getDeleteBlockedUsersPromise(userUid, batchSize) {
+	return deleteCollection(`userBlockedUsers/${userUid}/blockedUsersOfUser`, batchSize);
+}
+
+// Delete hidden chatrooms of user and their messages, if second user does not exist
+function getDeleteHiddenChatroomsOfUserPromise(userUid) {
+	return firestore
+		.collection('userChatrooms')
+		.doc(userUid)
+		.collection('hiddenChatroomsOfUser')
+		.get()
+		.then(snapshot => {
+			let deleteChatroomPromiseArray = [];
+
+			snapshot.forEach(doc => {
+				deleteChatroomPromiseArray.push(getDeleteHiddenChatroomPromise(doc));
+			});
+
+			return Promise.all(deleteChatroomPromiseArray);
+		});
+}
+
+function getDeleteHiddenChatroomPromise(hiddenChatroomDoc) {
+	const secondUserUid = hiddenChatroomDoc.data().secondUserUid;
+
+	return hiddenChatroomDoc.ref.delete()
+		.then(() => {
+			return getDeleteOrphanedChatroomMessagesPromise(hiddenChatroomDoc.id, secondUserUid);
+		});
 }
 
 // Delete user online value from Realtime Database
 function deleteUserOnlineValue(userUid) {
-	firebase.ref('online/' + userUid).remove();
+	return firebase.ref('online/' + userUid).remove();
 }
 
 // Delete user pic if exists
 function deleteUserPic(userUid, user) {
 	let userPicUrl = user.userPicUrl;
 	if (userPicUrl !== undefined && userPicUrl !== "") {
-		bucket.file(`${userUid}/userpic.jpg`).delete();
+		return getDeleteFileIfExistsPromise(`${userUid}/userpic.jpg`);
 	}
+
+	return Promise.resolve(null);
 }
 
 // Delete user photos, if exist
 function deleteUserPhotos(userUid, user) {
 	let photoList = user.photoList;
-	deletePhotos(userUid, photoList, 'user_photos');
+	return deletePhotos(userUid, photoList, 'user_photos');
 }
 
 // Delete all user offers
@@ -831,32 +5668,46 @@ function getDeleteAllOffersPromise(userUid, user) {
 function getDeleteOfferPromise(userUid, offer) {
 	let offerUid = offer.offer_uid;
 	
-	return getDeleteOfferReviewsPromise(userUid, offerUid, deleteCollectionBatchSize)
+	return Promise.all([
+			getDeleteOfferReviewsPromise(userUid, offerUid, deleteCollectionBatchSize),
+			getDeleteOfferIndexPromise(userUid, offerUid)
+		])
 		.then(() => {
-			deleteOfferPhotos(userUid, offer);
-			return;
+			return deleteOfferPhotos(userUid, offer);
 		});
 }
 
 // Delete offer reviews collection in batches
 function getDeleteOfferReviewsPromise(userUid, offerUid, batchSize) {
-	return deleteCollection(`reviews/${userUid}_${offerUid}/reviewsOfOffer`, batchSize);
+	return deleteCollection(`reviews/${getOfferReviewsDocumentUid(userUid, offerUid)}/reviewsOfOffer`, batchSize);
+}
+
+// Delete offer index document (keyword and nearby offer search)
+function getDeleteOfferIndexPromise(userUid, offerUid) {
+	return firestore.collection('offerIndex').doc(`${userUid}_${offerUid}`).delete();
 }
 
 // Delete offer photos, if exist
 function deleteOfferPhotos(userUid, offer) {
 	let offerPhotoList = offer.offer_photo_list;
-	deletePhotos(userUid, offerPhotoList, 'offer_photos');
+	return deletePhotos(userUid, offerPhotoList, 'offer_photos');
 }
 
-// Delete photos, if photo list exists and not empty
+// Delete photos and their thumbnails, if photo list exists and not empty
 function deletePhotos(userUid, photoList, photoFolderName) {
+	let deletePromiseArray = [];
+
 	if (photoList !== undefined) {
 		photoList.forEach((photo) => {
 			let photoUid = photo.photoUid;
-			bucket.file(`${userUid}/${photoFolderName}/${photoUid}.jpg`).delete();
+			let photoPath = `${userUid}/${photoFolderName}/${photoUid}.jpg`;
+
+			deletePromiseArray.push(getDeleteFileIfExistsPromise(photoPath));
+			getPhotoThumbnailPaths(photoPath).forEach(thumbnailPath => deletePromiseArray.push(getDeleteFileIfExistsPromise(thumbnailPath)));
 		});
 	}
+
+	return Promise.all(deletePromiseArray);
 }
 
 // Delete offer rating list item for offer being deleted
@@ -888,10 +5739,8 @@ function deleteOfferRatingListItem(userUid, offerUid) {
 						// Remove current offer's rating, if exists
 			   			offerRatings.splice(index, 1);
 
-			            // Update only offer rating array in provider user
-						const updatedProviderUser = {
-							offerRatingList: offerRatings
-						};
+			            // Update only offer rating array and rating summary in provider user
+						const updatedProviderUser = getUpdatedProviderUser(offerRatings);
 
 						return transaction.update(providerUserRef, updatedProviderUser);
 
@@ -908,7 +5757,6 @@ function deleteOfferRatingListItem(userUid, offerUid) {
 		return null;
 	})
 	.catch(err => {
-		console.log('Update provider user transaction failure:', err);
-		return null;
+		return getTrackFailurePromise('deleteOfferRatingListItem', [userUid, offerUid], userUid, err);
 	});	
 }
\ No newline at end of file